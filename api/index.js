@@ -1,36 +1,94 @@
 import { fetch } from 'undici';
+import { readdir, readFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import { parse as parseYAML } from 'yaml';
+import { createAvatarLoader } from '../lib/avatar.js';
+import { createLocale } from '../lib/i18n.js';
+import { createCache } from '../lib/cache.js';
+import { createSnapshotStore, isLogin, snapshotDate } from '../lib/snapshots.js';
+import { createTokenPool, rateLimitFromHeaders, readTokensFromEnv } from '../lib/tokens.js';
+import { raw, safeColor, xml } from '../lib/xml.js';
 
 const GITHUB_API_URL = "https://api.github.com/graphql";
 
+// Repository fields shared by the user query and the pagination queries.
+// Per-repo language sizes are only pulled for `langs_by=bytes`.
+const repositoryFields = `
+  fragment RepositoryFields on Repository {
+    name
+    isPrivate
+    stargazerCount
+    forkCount
+    primaryLanguage { name color }
+    languages(first: $languageCount, orderBy: { field: SIZE, direction: DESC }) @include(if: $withLanguages) {
+      edges { size node { name color } }
+    }
+  }
+`;
+
+// Contribution totals and calendar, shared by the user query and the
+// per-year queries that `range=all` walks through. The private and
+// repository totals are only used by `private=true` cards.
+const contributionFields = `
+  fragment ContributionFields on ContributionsCollection {
+    totalCommitContributions
+    totalPullRequestReviewContributions
+    totalRepositoryContributions
+    restrictedContributionsCount
+    contributionCalendar {
+      weeks {
+        contributionDays {
+          contributionCount
+          date
+          weekday
+        }
+      }
+    }
+  }
+`;
+
+const repositoryPage = `
+  totalCount
+  pageInfo { hasNextPage endCursor }
+  nodes { ...RepositoryFields }
+`;
+
 // Enhanced GraphQL query for comprehensive GitHub data
 const query = `
-  query UserMetrics($login: String!) {
+  query UserMetrics(
+    $login: String!, $isFork: Boolean, $privacy: RepositoryPrivacy, $withLanguages: Boolean!, $languageCount: Int!,
+    $from: DateTime, $to: DateTime, $windowed: Boolean!, $mergedSearch: String!, $closedSearch: String!
+  ) {
+    rateLimit { limit remaining resetAt }
+    mergedInRange: search(query: $mergedSearch, type: ISSUE) @include(if: $windowed) { issueCount }
+    closedInRange: search(query: $closedSearch, type: ISSUE) @include(if: $windowed) { issueCount }
     user(login: $login) {
       login
       name
       createdAt
       avatarUrl
+      bio
+      company
+      location
+      pronouns
+      status { message }
       followers { totalCount }
       following { totalCount }
       gists { totalCount }
       sponsorshipsAsSponsor { totalCount }
-      contributionsCollection {
-        totalCommitContributions
-        totalPullRequestReviewContributions
-        contributionCalendar {
-          weeks {
-            contributionDays {
-              contributionCount
-              date
-              weekday
-            }
-          }
-        }
+      contributionsCollection(from: $from, to: $to) {
+        ...ContributionFields
+        pullRequestContributions(first: 50, orderBy: { direction: DESC }) { nodes { occurredAt } }
+        issueContributions(first: 50, orderBy: { direction: DESC }) { nodes { occurredAt } }
       }
       repositoryDiscussionComments { totalCount }
       issues(states: CLOSED) { totalCount }
       pullRequests(states: MERGED) { totalCount }
-      organizations(first: 10) { totalCount }
+      organizations(first: 10) {
+        totalCount
+        nodes { login }
+      }
       repositoriesContributedTo(first: 3, contributionTypes: [COMMIT, PULL_REQUEST], orderBy: { field: STARGAZERS, direction: DESC }) {
         nodes {
           name
@@ -38,33 +96,433 @@ const query = `
         }
       }
       repositories(
-        privacy: PUBLIC, ownerAffiliations: OWNER, isFork: false, first: 100, orderBy: { field: STARGAZERS, direction: DESC }
+        privacy: $privacy, ownerAffiliations: OWNER, isFork: $isFork, first: 100, orderBy: { field: STARGAZERS, direction: DESC }
       ) {
-        nodes {
-          name
-          stargazerCount
-          forkCount
-          primaryLanguage { name color }
+        ${repositoryPage}
+      }
+    }
+  }
+  ${repositoryFields}
+  ${contributionFields}
+`;
+
+// One calendar year of contributions, for `range=all`
+const contributionYearQuery = `
+  query ContributionYear($login: String!, $from: DateTime!, $to: DateTime!) {
+    rateLimit { limit remaining resetAt }
+    user(login: $login) {
+      contributionsCollection(from: $from, to: $to) {
+        ...ContributionFields
+      }
+    }
+  }
+  ${contributionFields}
+`;
+
+// Next page of the user's own repositories
+const userRepositoriesQuery = `
+  query UserRepositories(
+    $login: String!, $cursor: String, $isFork: Boolean, $privacy: RepositoryPrivacy, $withLanguages: Boolean!, $languageCount: Int!
+  ) {
+    rateLimit { limit remaining resetAt }
+    user(login: $login) {
+      repositories(
+        privacy: $privacy, ownerAffiliations: OWNER, isFork: $isFork, first: 100, after: $cursor, orderBy: { field: STARGAZERS, direction: DESC }
+      ) {
+        ${repositoryPage}
+      }
+    }
+  }
+  ${repositoryFields}
+`;
+
+// A page of an organization's repositories (`include_orgs=true`)
+const organizationRepositoriesQuery = `
+  query OrganizationRepositories(
+    $login: String!, $cursor: String, $isFork: Boolean, $privacy: RepositoryPrivacy, $withLanguages: Boolean!, $languageCount: Int!
+  ) {
+    rateLimit { limit remaining resetAt }
+    organization(login: $login) {
+      repositories(
+        privacy: $privacy, isFork: $isFork, first: 100, after: $cursor, orderBy: { field: STARGAZERS, direction: DESC }
+      ) {
+        ${repositoryPage}
+      }
+    }
+  }
+  ${repositoryFields}
+`;
+
+// Organization profile, its members and the first page of its public
+// repositories, for `org=` dashboards
+const organizationQuery = `
+  query OrganizationDashboard(
+    $login: String!, $memberCount: Int!, $isFork: Boolean, $privacy: RepositoryPrivacy, $withLanguages: Boolean!, $languageCount: Int!
+  ) {
+    rateLimit { limit remaining resetAt }
+    organization(login: $login) {
+      login
+      name
+      avatarUrl
+      membersWithRole(first: $memberCount) {
+        totalCount
+        nodes { login }
+      }
+      repositories(
+        privacy: $privacy, isFork: $isFork, first: 100, orderBy: { field: STARGAZERS, direction: DESC }
+      ) {
+        ${repositoryPage}
+      }
+    }
+  }
+  ${repositoryFields}
+`;
+
+// Commit history fields for the repository spotlight's activity and contributors
+const commitHistoryPage = `
+  totalCount
+  pageInfo { hasNextPage endCursor }
+  nodes {
+    committedDate
+    author { name user { login } }
+  }
+`;
+
+// A single repository for the `repo=` spotlight
+const repositorySpotlightQuery = `
+  query RepositorySpotlight($owner: String!, $name: String!, $since: GitTimestamp!) {
+    rateLimit { limit remaining resetAt }
+    repository(owner: $owner, name: $name) {
+      name
+      nameWithOwner
+      description
+      stargazerCount
+      forkCount
+      openIssues: issues(states: OPEN) { totalCount }
+      closedIssues: issues(states: CLOSED) { totalCount }
+      mergedPullRequests: pullRequests(states: MERGED) { totalCount }
+      languages(first: 10, orderBy: { field: SIZE, direction: DESC }) {
+        edges { size node { name color } }
+      }
+      latestRelease { name tagName publishedAt }
+      defaultBranchRef {
+        target {
+          ... on Commit {
+            history(first: 100, since: $since) {
+              ${commitHistoryPage}
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Next page of the spotlight repository's recent commits
+const repositoryHistoryQuery = `
+  query RepositoryHistory($owner: String!, $name: String!, $since: GitTimestamp!, $cursor: String) {
+    rateLimit { limit remaining resetAt }
+    repository(owner: $owner, name: $name) {
+      defaultBranchRef {
+        target {
+          ... on Commit {
+            history(first: 100, since: $since, after: $cursor) {
+              ${commitHistoryPage}
+            }
+          }
         }
       }
     }
   }
 `;
 
+// Languages read per repo when breaking languages down by bytes
+const LANGUAGES_PER_REPO = 10;
+
+// Repository paging limits: pages of 100 per source (the user, each org),
+// and how many sources are paged at once
+const REPO_PAGING = {
+  MAX_PAGES: 10,
+  CONCURRENCY: 3
+};
+
+// Which repositories feed repo-derived stats, and whether per-repo language
+// sizes are fetched. Also distinguishes cache entries for the same user.
+// Private repositories only count with includePrivate (`private=true`).
+function repoQueryOptions({ langsBy = 'repos', includeForks = false, includeOrgs = false, includePrivate = false } = {}) {
+  return {
+    isFork: includeForks ? null : false,
+    privacy: includePrivate ? null : 'PUBLIC',
+    includeOrgs,
+    withLanguages: langsBy === 'bytes',
+    languageCount: LANGUAGES_PER_REPO
+  };
+}
+
+function repoQueryKey(options) {
+  return [
+    options.isFork === null ? 'forks' : 'sources',
+    options.includeOrgs ? 'orgs' : 'owner',
+    options.withLanguages ? 'bytes' : 'repos',
+    options.privacy === null ? 'private' : 'public'
+  ].join(':');
+}
+
+// `range=` windows. Rolling windows end now; a year covers that calendar
+// year; `all` walks every year since the account was created. Without a
+// range the card keeps GitHub's defaults (trailing-year calendar, lifetime
+// PR and issue totals).
+const RANGES = {
+  '30d': { days: 30, label: 'Last 30 days' },
+  '90d': { days: 90, label: 'Last 90 days' },
+  '1y': { days: 365, label: 'Last year' }
+};
+
+// Oldest year GitHub has contributions for
+const FIRST_CONTRIBUTION_YEAR = 2008;
+
+function parseRange(value, now = new Date()) {
+  if (value === undefined || value === '') return null;
+  const key = String(value).trim().toLowerCase();
+  if (key === 'all') return { key, label: 'All time', all: true };
+  if (RANGES[key]) {
+    const from = new Date(now.getTime() - RANGES[key].days * 86400000);
+    return { key, label: RANGES[key].label, from: from.toISOString(), to: now.toISOString() };
+  }
+  if (/^\d{4}$/.test(key)) {
+    const year = Number(key);
+    const thisYear = now.getUTCFullYear();
+    if (year < FIRST_CONTRIBUTION_YEAR || year > thisYear) throw new Error(`Range year out of bounds: ${key}`);
+    return { key, label: key, ...yearWindow(year, now) };
+  }
+  throw new Error(`Unknown range: ${value}`);
+}
+
+// Calendar year as a from/to pair, cut off at `now` for the current year
+function yearWindow(year, now = new Date()) {
+  return {
+    from: `${year}-01-01T00:00:00Z`,
+    to: year === now.getUTCFullYear() ? now.toISOString() : `${year}-12-31T23:59:59Z`
+  };
+}
+
+// Query variables for a range. Fixed windows also count merged PRs and
+// closed issues inside the window through search.
+function rangeVariables(login, range) {
+  if (!range?.from) return { windowed: false, mergedSearch: '', closedSearch: '' };
+  const dates = `${range.from.slice(0, 10)}..${range.to.slice(0, 10)}`;
+  return {
+    from: range.from,
+    to: range.to,
+    windowed: true,
+    mergedSearch: `author:${login} is:pr is:merged merged:${dates}`,
+    closedSearch: `author:${login} is:issue is:closed closed:${dates}`
+  };
+}
+
+// Repository spotlight: weeks of commit activity shown, and how many pages
+// of 100 commits are read for the sparkline and contributor counts
+const REPO_SPOTLIGHT = {
+  WEEKS: 12,
+  MAX_COMMIT_PAGES: 3
+};
+
+// Org dashboards: members fetched per dashboard, how many are fetched at
+// once, and how many make the leaderboard
+const ORG_DASHBOARD = {
+  MAX_MEMBERS: 30,
+  MEMBER_CONCURRENCY: 3,
+  LEADERBOARD_SIZE: 5
+};
+
 function buildHeaders(token) {
   return { "Content-Type": "application/json", Authorization: `bearer ${token}` };
 }
 
-async function fetchGitHubData(token, username) {
-  const response = await fetch(GITHUB_API_URL, {
-    method: "POST",
-    headers: buildHeaders(token),
-    body: JSON.stringify({ query, variables: { login: username } }),
+let tokenPool;
+
+// Tokens from GH_TOKEN (single or comma list) and GH_TOKEN_1..N, pooled per instance
+function getTokenPool() {
+  tokenPool ??= createTokenPool(readTokensFromEnv());
+  return tokenPool;
+}
+
+// Run a query with the healthiest token in the pool. Rejected (401) and
+// rate-limited tokens are parked and the next token is tried.
+async function graphqlRequest(pool, queryText, variables) {
+  const tried = new Set();
+  let entry;
+  while ((entry = pool.acquire(tried))) {
+    tried.add(entry);
+    const response = await fetch(GITHUB_API_URL, {
+      method: "POST",
+      headers: buildHeaders(entry.token),
+      body: JSON.stringify({ query: queryText, variables }),
+    });
+    const limits = rateLimitFromHeaders(response.headers);
+
+    if (response.status === 401) {
+      pool.cooldown(entry, 'unauthorized');
+      continue;
+    }
+    if ((response.status === 403 || response.status === 429) && (limits.remaining === 0 || response.headers.get('retry-after') !== null)) {
+      pool.cooldown(entry, 'rate-limited', limits.resetAt);
+      continue;
+    }
+    if (!response.ok) throw new Error(await response.text());
+
+    const body = await response.json();
+    if (body.errors?.some(e => e.type === 'RATE_LIMITED')) {
+      pool.cooldown(entry, 'rate-limited', body.data?.rateLimit?.resetAt ?? limits.resetAt);
+      continue;
+    }
+    pool.report(entry, body.data?.rateLimit ?? limits);
+    // A missing user or organization comes back as a null field plus a
+    // NOT_FOUND error; callers turn the null into a 404
+    if (body.data && body.errors?.every(e => e.type === 'NOT_FOUND')) return body.data;
+    if (body.errors) throw new Error(body.errors.map(e => e.message).join("; "));
+    return body.data;
+  }
+
+  const nextAt = pool.nextAvailableAt();
+  throw new Error(`All GitHub tokens are unavailable${nextAt ? ` until ${nextAt}` : ''}`);
+}
+
+// Map over items with at most `limit` promises in flight
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Follow a connection's cursor (repositories, commit history) up to `maxPages` pages
+async function pageConnection(firstPage, fetchPage, maxPages = REPO_PAGING.MAX_PAGES) {
+  let page = firstPage ?? await fetchPage(null);
+  const nodes = [...(page?.nodes ?? [])];
+  const totalCount = page?.totalCount ?? nodes.length;
+  let pages = 1;
+  while (page?.pageInfo?.hasNextPage && pages < maxPages) {
+    page = await fetchPage(page.pageInfo.endCursor);
+    nodes.push(...(page?.nodes ?? []));
+    pages++;
+  }
+  return { nodes, totalCount, partial: Boolean(page?.pageInfo?.hasNextPage) };
+}
+
+// Merge per-year contribution collections: totals are summed and calendar
+// days, de-duplicated by date, are regrouped into Sunday-first weeks
+function mergeContributionCollections(collections) {
+  const days = new Map();
+  collections.forEach(collection => collection?.contributionCalendar?.weeks?.forEach(week =>
+    week.contributionDays.forEach(day => days.set(day.date, day))));
+
+  const weeks = [];
+  [...days.values()].sort((a, b) => a.date.localeCompare(b.date)).forEach(day => {
+    if (weeks.length === 0 || day.weekday === 0) weeks.push({ contributionDays: [] });
+    weeks.at(-1).contributionDays.push(day);
   });
-  if (!response.ok) throw new Error(await response.text());
-  const body = await response.json();
-  if (body.errors) throw new Error(body.errors.map(e => e.message).join("; "));
-  return body.data;
+
+  const sum = (field) => collections.reduce((total, collection) => total + (collection?.[field] ?? 0), 0);
+  return {
+    totalCommitContributions: sum('totalCommitContributions'),
+    totalPullRequestReviewContributions: sum('totalPullRequestReviewContributions'),
+    totalRepositoryContributions: sum('totalRepositoryContributions'),
+    restrictedContributionsCount: sum('restrictedContributionsCount'),
+    contributionCalendar: { weeks }
+  };
+}
+
+// Every contribution year since the account was created, fetched a few at a time
+async function fetchAllContributions(pool, username, createdAt) {
+  const now = new Date();
+  const firstYear = Math.max(FIRST_CONTRIBUTION_YEAR, new Date(createdAt).getUTCFullYear() || now.getUTCFullYear());
+  const years = Array.from({ length: now.getUTCFullYear() - firstYear + 1 }, (_, i) => firstYear + i);
+  const collections = await mapWithConcurrency(years, REPO_PAGING.CONCURRENCY, async year =>
+    (await graphqlRequest(pool, contributionYearQuery, { login: username, ...yearWindow(year, now) }))?.user?.contributionsCollection);
+  return mergeContributionCollections(collections);
+}
+
+// User profile plus every public repository it owns (every one the token
+// can see with includePrivate, and with includeOrgs its organizations'
+// repositories too), merged into user.repositories. When a source has more
+// pages than the limit, repositories.partial is set.
+// Contributions, merged PRs and closed issues cover `range` when one is given.
+async function fetchGitHubData(pool, username, repoOptions = repoQueryOptions(), range = null) {
+  const { includeOrgs, ...variables } = repoOptions;
+  const data = await graphqlRequest(pool, query, { login: username, ...variables, ...rangeVariables(username, range) });
+  if (!data?.user) return data;
+
+  if (range?.from) {
+    data.user.pullRequests = { totalCount: data.mergedInRange?.issueCount ?? 0 };
+    data.user.issues = { totalCount: data.closedInRange?.issueCount ?? 0 };
+  }
+  if (range?.all) {
+    // Recent PR and issue times (for badges) come from the main query either way
+    const { pullRequestContributions, issueContributions } = data.user.contributionsCollection ?? {};
+    data.user.contributionsCollection = {
+      ...await fetchAllContributions(pool, username, data.user.createdAt),
+      pullRequestContributions,
+      issueContributions
+    };
+  }
+
+  const sources = [{
+    firstPage: data.user.repositories,
+    fetchPage: async (cursor) => (await graphqlRequest(pool, userRepositoriesQuery, { login: username, cursor, ...variables }))?.user?.repositories
+  }];
+  if (includeOrgs) {
+    (data.user.organizations?.nodes ?? []).forEach(org => sources.push({
+      firstPage: null,
+      fetchPage: async (cursor) => (await graphqlRequest(pool, organizationRepositoriesQuery, { login: org.login, cursor, ...variables }))?.organization?.repositories
+    }));
+  }
+
+  const results = await mapWithConcurrency(sources, REPO_PAGING.CONCURRENCY, source => pageConnection(source.firstPage, source.fetchPage));
+  data.user.repositories = {
+    totalCount: results.reduce((sum, result) => sum + result.totalCount, 0),
+    partial: results.some(result => result.partial),
+    nodes: results.flatMap(result => result.nodes)
+      .sort((a, b) => (b?.stargazerCount ?? 0) - (a?.stargazerCount ?? 0))
+  };
+  return data;
+}
+
+// Organization profile and member list, with every public repository it
+// owns merged into organization.repositories
+async function fetchOrganizationData(pool, login, repoOptions = repoQueryOptions()) {
+  const { includeOrgs, ...variables } = repoOptions;
+  const data = await graphqlRequest(pool, organizationQuery, { login, memberCount: ORG_DASHBOARD.MAX_MEMBERS, ...variables });
+  if (!data?.organization) return data;
+
+  data.organization.repositories = await pageConnection(data.organization.repositories, async (cursor) =>
+    (await graphqlRequest(pool, organizationRepositoriesQuery, { login, cursor, ...variables }))?.organization?.repositories);
+  return data;
+}
+
+// A repository plus its recent commits (up to REPO_SPOTLIGHT.MAX_COMMIT_PAGES
+// pages since REPO_SPOTLIGHT.WEEKS ago) in repository.recentCommits
+async function fetchRepositoryData(pool, owner, name) {
+  const since = new Date(Date.now() - REPO_SPOTLIGHT.WEEKS * 7 * 86400000).toISOString();
+  const data = await graphqlRequest(pool, repositorySpotlightQuery, { owner, name, since });
+  const repository = data?.repository;
+  if (!repository) return data;
+
+  const history = repository.defaultBranchRef?.target?.history;
+  repository.recentCommits = history
+    ? await pageConnection(history, async (cursor) =>
+      (await graphqlRequest(pool, repositoryHistoryQuery, { owner, name, since, cursor }))?.repository?.defaultBranchRef?.target?.history,
+      REPO_SPOTLIGHT.MAX_COMMIT_PAGES)
+    : { nodes: [], totalCount: 0, partial: false };
+  repository.recentCommits.since = since;
+  delete repository.defaultBranchRef;
+  return data;
 }
 
 // Seeded random number generator for consistent chaos
@@ -145,77 +603,399 @@ function calculateMostActiveDay(contributionCalendar) {
   return weekdayNames[maxIndex];
 }
 
+// Hour of day (0-23 in `timeZone`) of the user's recent PRs and issues,
+// counted into 24 buckets
+function calculateActivityHours(contributionsCollection, timeZone = 'UTC') {
+  const hourOf = new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone });
+  const hours = new Array(24).fill(0);
+  [...(contributionsCollection?.pullRequestContributions?.nodes ?? []), ...(contributionsCollection?.issueContributions?.nodes ?? [])]
+    .forEach(node => {
+      if (node?.occurredAt) hours[Number(hourOf.format(new Date(node.occurredAt)))]++;
+    });
+  return hours;
+}
+
+// `tz=` as a canonical IANA zone name; badges read activity times in it
+function parseTimeZone(value) {
+  if (!value) return 'UTC';
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+  } catch {
+    throw new Error(`Unknown time zone: ${value}`);
+  }
+}
+
+// Flatten the contribution calendar into weeks of { date, count, weekday }
+function mapContributionWeeks(contributionCalendar) {
+  if (!contributionCalendar?.weeks) return [];
+  return contributionCalendar.weeks.map(week => week.contributionDays.map(day => ({
+    date: day.date,
+    count: day.contributionCount,
+    weekday: day.weekday
+  })));
+}
+
+// Bucket daily counts into intensity levels 0-4 (0 = no contributions).
+// "quartile" splits the non-zero days evenly; "log" spreads levels over
+// log(count) so one huge day doesn't flatten everything else.
+function heatmapLevels(counts, scale = 'quartile') {
+  const nonZero = counts.filter(c => c > 0).sort((a, b) => a - b);
+  if (nonZero.length === 0) return counts.map(() => 0);
+
+  if (scale === 'log') {
+    const maxLog = Math.log(nonZero[nonZero.length - 1] + 1);
+    return counts.map(c => c > 0 ? Math.max(1, Math.ceil((Math.log(c + 1) / maxLog) * 4)) : 0);
+  }
+
+  const quantile = (q) => nonZero[Math.min(nonZero.length - 1, Math.floor(q * nonZero.length))];
+  const cutoffs = [quantile(0.25), quantile(0.5), quantile(0.75)];
+  return counts.map(c => {
+    if (c <= 0) return 0;
+    const level = cutoffs.findIndex(cutoff => c <= cutoff);
+    return level === -1 ? 4 : level + 1;
+  });
+}
+
+// Built-in scoring profiles. Weights turn each metric into impact points;
+// ranks are checked top-down and the first `min` the score beats wins
+// (the last rank is the floor).
+const scoringProfiles = {
+  default: {
+    weights: { reviews: 3, discussions: 2, commits: 0.1, stars: 2, prs: 1.5, closedIssues: 1 },
+    ranks: [
+      { min: 2000, level: "S+", title: "LEGEND" },
+      { min: 1000, level: "S", title: "MASTER" },
+      { min: 500, level: "A+", title: "SENIOR" },
+      { min: 250, level: "A", title: "EXPERT" },
+      { min: 100, level: "B", title: "BUILDER" },
+      { min: 50, level: "C", title: "CODER" },
+      { min: 0, level: "D", title: "ROOKIE" }
+    ]
+  },
+  // Reviews and discussions dominate; stars barely count
+  collaborator: {
+    weights: { reviews: 10, discussions: 6, commits: 0.1, stars: 0.25, prs: 2, closedIssues: 1.5 },
+    ranks: [
+      { min: 5000, level: "S+", title: "LEGEND" },
+      { min: 2500, level: "S", title: "MASTER" },
+      { min: 1200, level: "A+", title: "SENIOR" },
+      { min: 600, level: "A", title: "EXPERT" },
+      { min: 250, level: "B", title: "BUILDER" },
+      { min: 100, level: "C", title: "CODER" },
+      { min: 0, level: "D", title: "ROOKIE" }
+    ]
+  },
+  // Project owners: stars and closed issues count most
+  maintainer: {
+    weights: { reviews: 2, discussions: 2, commits: 0.05, stars: 3, prs: 1, closedIssues: 2 },
+    ranks: [
+      { min: 3000, level: "S+", title: "LEGEND" },
+      { min: 1500, level: "S", title: "MASTER" },
+      { min: 750, level: "A+", title: "SENIOR" },
+      { min: 350, level: "A", title: "EXPERT" },
+      { min: 150, level: "B", title: "BUILDER" },
+      { min: 50, level: "C", title: "CODER" },
+      { min: 0, level: "D", title: "ROOKIE" }
+    ]
+  }
+};
+
+const SCORED_METRICS = Object.keys(scoringProfiles.default.weights);
+
+// Short names accepted by `weights=`
+const weightAliases = { issues: 'closedIssues', discussion: 'discussions', review: 'reviews', pr: 'prs' };
+
 // Calculate rank based on impact score
-function calculateRank(score) {
-  if (score > 2000) return { level: "S+", title: "LEGEND" };
-  if (score > 1000) return { level: "S", title: "MASTER" };
-  if (score > 500) return { level: "A+", title: "SENIOR" };
-  if (score > 250) return { level: "A", title: "EXPERT" };
-  if (score > 100) return { level: "B", title: "BUILDER" };
-  if (score > 50) return { level: "C", title: "CODER" };
-  return { level: "D", title: "ROOKIE" };
+function calculateRank(score, ranks = scoringProfiles.default.ranks) {
+  const rank = ranks.find(r => score > r.min) || ranks[ranks.length - 1];
+  return { level: rank.level, title: rank.title };
 }
 
-// Determine coding persona based on stats
+// Weighted impact score plus how many points each metric contributed
+function scoreImpact(metrics, weights = scoringProfiles.default.weights) {
+  const breakdown = {};
+  let total = 0;
+  SCORED_METRICS.forEach(key => {
+    const points = (metrics[key] ?? 0) * (weights[key] ?? 0);
+    breakdown[key] = Math.round(points * 10) / 10;
+    total += points;
+  });
+  return { score: Math.floor(total), breakdown };
+}
+
+const CONFIG_FILES = ['chaotic.config.json', 'chaotic.config.yaml', 'chaotic.config.yml'];
+let configPromise;
+
+// Server-side config, read once per instance. CHAOTIC_CONFIG points at an
+// explicit file; otherwise the first chaotic.config.* in the working directory.
+function loadConfig() {
+  configPromise ??= readConfig();
+  return configPromise;
+}
+
+async function readConfig() {
+  const explicit = process.env.CHAOTIC_CONFIG;
+  for (const file of explicit ? [explicit] : CONFIG_FILES) {
+    let text;
+    try {
+      text = await readFile(path.resolve(process.cwd(), file), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT' && !explicit) continue;
+      throw new Error(`Cannot read config ${file}: ${error.message}`);
+    }
+    const config = /\.ya?ml$/i.test(file) ? parseYAML(text) : JSON.parse(text);
+    return config ?? {};
+  }
+  return {};
+}
+
+function validateWeights(weights, source) {
+  Object.entries(weights).forEach(([key, value]) => {
+    if (!SCORED_METRICS.includes(key)) throw new Error(`Unknown weight in ${source}: ${key}`);
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid weight in ${source}: ${key}`);
+    }
+  });
+  return weights;
+}
+
+function validateRanks(ranks, source) {
+  const valid = Array.isArray(ranks) && ranks.length > 0 && ranks.every(r =>
+    typeof r?.min === 'number' && Number.isFinite(r.min) && r.level && r.title);
+  if (!valid) throw new Error(`Invalid ranks in ${source}`);
+  return [...ranks].sort((a, b) => b.min - a.min);
+}
+
+// Parse `weights=reviews:10,stars:0.5`
+function parseWeightsParam(value) {
+  const weights = {};
+  String(value).split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+    const [rawKey, rawValue] = pair.split(':');
+    const key = weightAliases[rawKey?.trim()] || rawKey?.trim();
+    weights[key] = rawValue === undefined || rawValue.trim() === '' ? NaN : Number(rawValue);
+  });
+  return validateWeights(weights, 'weights');
+}
+
+// Pick the scoring profile for a request: built-ins merged with the config's
+// `scoring.profiles`, then the optional `weights=` override on top.
+function resolveScoringProfile(config, profileName, weightsParam) {
+  const scoring = config?.scoring ?? {};
+  const name = profileName || scoring.defaultProfile || 'default';
+  // Own keys only, so `profile=constructor` is unknown rather than Object.prototype's
+  const ownProfile = (profiles, key) => profiles && Object.hasOwn(profiles, key) ? profiles[key] : undefined;
+  const builtIn = ownProfile(scoringProfiles, name);
+  const custom = ownProfile(scoring.profiles, name);
+  if (!builtIn && !custom) throw new Error(`Unknown scoring profile: ${name}`);
+
+  const source = `profile ${name}`;
+  const parent = custom?.extends || 'default';
+  const base = builtIn || ownProfile(scoringProfiles, parent);
+  if (!base) throw new Error(`Scoring ${source} extends unknown profile: ${parent}`);
+  let weights = { ...base.weights, ...validateWeights(custom?.weights ?? {}, source) };
+  const ranks = custom?.ranks ? validateRanks(custom.ranks, source) : base.ranks;
+
+  if (weightsParam) {
+    if (scoring.allowQueryWeights === false) throw new Error("weights= is disabled on this server");
+    weights = { ...weights, ...parseWeightsParam(weightsParam) };
+  }
+  return { name, weights, ranks };
+}
+
+// Personas, checked top-down: the first metric over its threshold wins
+const personaRules = [
+  { persona: 'Code Guardian', metric: 'reviews', over: 100, noun: 'reviews' },
+  { persona: 'Star Collector', metric: 'stars', over: 500, noun: 'stars' },
+  { persona: 'PR Machine', metric: 'prs', over: 200, noun: 'merged PRs' },
+  { persona: 'Commit Warrior', metric: 'commits', over: 2000, noun: 'commits' },
+  { persona: 'Issue Hunter', metric: 'closedIssues', over: 100, noun: 'closed issues' },
+  { persona: 'Community Voice', metric: 'discussions', over: 50, noun: 'discussion comments' },
+  { persona: 'Review Master', metric: 'reviews', over: 50, noun: 'reviews' },
+  { persona: 'Rising Star', metric: 'stars', over: 100, noun: 'stars' },
+  { persona: 'Merge Master', metric: 'prs', over: 50, noun: 'merged PRs' }
+];
+
+// Persona name plus the reason it was picked
 function determineCodingPersona(metrics) {
-  const { reviews, stars, prs, commits, issues, discussions } = metrics;
-  
-  if (reviews > 100) return "Code Guardian";
-  if (stars > 500) return "Star Collector";
-  if (prs > 200) return "PR Machine";
-  if (commits > 2000) return "Commit Warrior";
-  if (issues > 100) return "Issue Hunter";
-  if (discussions > 50) return "Community Voice";
-  if (reviews > 50) return "Review Master";
-  if (stars > 100) return "Rising Star";
-  if (prs > 50) return "Merge Master";
-  return "Code Explorer";
-}
-
-function mapMetrics(user) {
-  const commits = user?.contributionsCollection?.totalCommitContributions ?? 0;
-  const reviews = user?.contributionsCollection?.totalPullRequestReviewContributions ?? 0;
-  const discussions = user?.repositoryDiscussionComments?.totalCount ?? 0;
-  const closedIssues = user?.issues?.totalCount ?? 0;
-  const prs = user?.pullRequests?.totalCount ?? 0;
-  const followers = user?.followers?.totalCount ?? 0;
-  const following = user?.following?.totalCount ?? 0;
-  const gists = user?.gists?.totalCount ?? 0;
-  const sponsorships = user?.sponsorshipsAsSponsor?.totalCount ?? 0;
-  const orgs = user?.organizations?.totalCount ?? 0;
-  
-  const repos = user?.repositories?.nodes ?? [];
+  const rule = personaRules.find(r => (metrics[r.metric] ?? 0) > r.over);
+  if (!rule) return { name: 'Code Explorer', reason: 'No persona threshold reached yet' };
+  return { name: rule.persona, reason: `${metrics[rule.metric]} ${rule.noun} (more than ${rule.over})` };
+}
+
+const BADGE_TIERS = ['bronze', 'silver', 'gold'];
+
+// Percentage of recent PRs and issues opened in the hours `inWindow` accepts;
+// null with too few samples to tell
+function hourShare(hours, inWindow) {
+  const total = hours.reduce((sum, count) => sum + count, 0);
+  if (total < 10) return null;
+  return Math.round(hours.filter((count, hour) => inWindow(hour)).reduce((sum, count) => sum + count, 0) / total * 100);
+}
+
+// Percentage of calendar contributions made on Saturdays and Sundays
+function weekendShare(contributionWeeks) {
+  const days = contributionWeeks.flat();
+  const total = days.reduce((sum, day) => sum + day.count, 0);
+  if (total < 20) return null;
+  const weekend = days.filter(day => day.weekday === 0 || day.weekday === 6).reduce((sum, day) => sum + day.count, 0);
+  return Math.round(weekend / total * 100);
+}
+
+// Achievement badges. `measure` reads one number from the metrics (null when
+// there is too little data); a badge is awarded at the highest tier whose
+// threshold in `tiers` (bronze, silver, gold) the number reaches.
+const badgeRules = [
+  {
+    id: 'night-owl',
+    label: 'Night Owl',
+    measure: m => hourShare(m.activityHours, hour => hour >= 22 || hour < 4),
+    tiers: [35, 50, 70],
+    reason: v => `${v}% of recent PRs and issues opened between 22:00 and 04:00`
+  },
+  {
+    id: 'early-bird',
+    label: 'Early Bird',
+    measure: m => hourShare(m.activityHours, hour => hour >= 5 && hour < 9),
+    tiers: [30, 45, 60],
+    reason: v => `${v}% of recent PRs and issues opened between 05:00 and 09:00`
+  },
+  {
+    id: 'weekend-warrior',
+    label: 'Weekend Warrior',
+    measure: m => weekendShare(m.contributionWeeks),
+    tiers: [35, 50, 65],
+    reason: v => `${v}% of contributions made on weekends`
+  },
+  {
+    id: 'polyglot',
+    label: 'Polyglot',
+    measure: m => m.languageCount,
+    tiers: [5, 8, 12],
+    reason: v => `${v} languages across owned repos`
+  },
+  {
+    id: 'sponsor',
+    label: 'Sponsor',
+    measure: m => m.sponsorships,
+    tiers: [1, 5, 20],
+    reason: v => `Sponsors ${v} ${v === 1 ? 'maintainer' : 'maintainers'}`
+  },
+  {
+    id: 'marathoner',
+    label: 'Marathoner',
+    measure: m => m.longestStreak,
+    tiers: [30, 100, 365],
+    reason: v => `Longest streak of ${v} days`
+  },
+  {
+    id: 'reviewer',
+    label: 'Reviewer',
+    measure: m => m.reviews,
+    tiers: [50, 250, 1000],
+    reason: v => `${v} pull request reviews`
+  },
+  {
+    id: 'stargazer',
+    label: 'Stargazer',
+    measure: m => m.stars,
+    tiers: [100, 1000, 10000],
+    reason: v => `${v} stars on owned repos`
+  },
+  {
+    id: 'merger',
+    label: 'Merger',
+    measure: m => m.prs,
+    tiers: [50, 200, 1000],
+    reason: v => `${v} merged pull requests`
+  },
+  {
+    id: 'community',
+    label: 'Community Voice',
+    measure: m => m.discussions,
+    tiers: [20, 100, 500],
+    reason: v => `${v} discussion comments`
+  }
+];
+
+// Every badge the metrics earn, gold first, then in rule order
+function awardBadges(metrics) {
+  return badgeRules.flatMap(rule => {
+    const value = rule.measure(metrics);
+    const level = value === null || value === undefined ? -1 : rule.tiers.findLastIndex(min => value >= min);
+    if (level < 0) return [];
+    return [{ id: rule.id, label: rule.label, tier: BADGE_TIERS[level], value, reason: rule.reason(value) }];
+  }).sort((a, b) => BADGE_TIERS.indexOf(b.tier) - BADGE_TIERS.indexOf(a.tier));
+}
+
+// Stars, forks, top repos and language mix of a merged repository list,
+// after the exclude_repos / exclude_langs filters
+function summarizeRepositories(repositories, options = {}) {
+  const excludeRepos = options.excludeRepos ?? [];
+  const excludeLangs = options.excludeLangs ?? [];
+  const repos = (repositories?.nodes ?? [])
+    .filter(repo => !excludeRepos.includes(repo?.name?.toLowerCase()));
+  // Set when a repository source had more pages than REPO_PAGING allows
+  const reposPartial = Boolean(repositories?.partial);
   const stars = repos.reduce((sum, repo) => sum + (repo?.stargazerCount ?? 0), 0);
   const forks = repos.reduce((sum, repo) => sum + (repo?.forkCount ?? 0), 0);
   
-  // Top repos by stars
+  // Top repos by stars. Private repositories count towards the totals
+  // above but are never named.
   const topRepos = repos
-    .filter(r => r && r.name)
+    .filter(r => r && r.name && !r.isPrivate)
     .slice(0, 3)
     .map(r => ({ name: r.name, stars: r.stargazerCount || 0 }));
   
-  // Language calculations
-  const langCounts = {};
-  let totalReposWithLang = 0;
-  repos.forEach(repo => { 
-    if (repo?.primaryLanguage?.name) {
-      const name = repo.primaryLanguage.name;
-      const color = repo.primaryLanguage.color;
-      if (!langCounts[name]) langCounts[name] = { count: 0, color };
-      langCounts[name].count++;
-      totalReposWithLang++;
+  // Language calculations: one vote per repo's primary language, or
+  // every language weighted by its byte size when langsBy is "bytes"
+  const langTotals = {};
+  let langGrandTotal = 0;
+  const addLanguage = (language, amount) => {
+    if (!language?.name || excludeLangs.includes(language.name.toLowerCase())) return;
+    if (!langTotals[language.name]) langTotals[language.name] = { total: 0, color: language.color };
+    langTotals[language.name].total += amount;
+    langGrandTotal += amount;
+  };
+  repos.forEach(repo => {
+    if (options.langsBy === 'bytes') {
+      (repo?.languages?.edges ?? []).forEach(edge => addLanguage(edge?.node, edge?.size ?? 0));
+    } else {
+      addLanguage(repo?.primaryLanguage, 1);
     }
   });
 
-  const topLanguages = Object.entries(langCounts)
-    .sort(([,a], [,b]) => b.count - a.count)
+  const topLanguages = Object.entries(langTotals)
+    .sort(([,a], [,b]) => b.total - a.total)
     .slice(0, 4)
     .map(([name, data]) => ({
       name,
       color: data.color || "#ccc",
-      percent: totalReposWithLang > 0 ? Math.round((data.count / totalReposWithLang) * 100) : 0
+      percent: langGrandTotal > 0 ? Math.round((data.total / langGrandTotal) * 100) : 0,
+      ...(options.langsBy === 'bytes' ? { bytes: data.total } : {})
     }));
 
+  const languageCount = Object.keys(langTotals).length;
+
+  return { repos, reposPartial, stars, forks, topRepos, topLanguages, languageCount };
+}
+
+function mapMetrics(user, profile = { name: 'default', ...scoringProfiles.default }, options = {}) {
+  // With includePrivate, contributions to repositories the token can't see
+  // count as commits: GitHub reports them without saying what kind they are
+  const restrictedContributions = options.includePrivate ? user?.contributionsCollection?.restrictedContributionsCount ?? 0 : 0;
+  const commits = (user?.contributionsCollection?.totalCommitContributions ?? 0) + restrictedContributions;
+  const reviews = user?.contributionsCollection?.totalPullRequestReviewContributions ?? 0;
+  const discussions = user?.repositoryDiscussionComments?.totalCount ?? 0;
+  const closedIssues = user?.issues?.totalCount ?? 0;
+  const prs = user?.pullRequests?.totalCount ?? 0;
+  const followers = user?.followers?.totalCount ?? 0;
+  const following = user?.following?.totalCount ?? 0;
+  const gists = user?.gists?.totalCount ?? 0;
+  const sponsorships = user?.sponsorshipsAsSponsor?.totalCount ?? 0;
+  const orgs = user?.organizations?.totalCount ?? 0;
+  
+  const { repos, reposPartial, stars, forks, topRepos, topLanguages, languageCount } = summarizeRepositories(user?.repositories, options);
+
   // Streaks
   const streaks = calculateStreaks(user?.contributionsCollection?.contributionCalendar);
   
@@ -226,22 +1006,20 @@ function mapMetrics(user) {
   const createdDate = new Date(user?.createdAt);
   const accountAge = Math.floor((Date.now() - createdDate.getTime()) / (365.25 * 24 * 60 * 60 * 1000));
   
-  // Impact score (weighted formula)
-  const impactScore = Math.floor(
-    (reviews * 3) + 
-    (discussions * 2) + 
-    (commits * 0.1) + 
-    (stars * 2) + 
-    (prs * 1.5) + 
-    (closedIssues * 1)
-  );
-  
-  const rank = calculateRank(impactScore);
+  // Impact score (weighted by the scoring profile)
+  const impact = scoreImpact({ reviews, discussions, commits, stars, prs, closedIssues }, profile.weights);
+  const impactScore = impact.score;
+  const rank = calculateRank(impactScore, profile.ranks);
   
   const basicMetrics = {
     username: user?.login,
     name: user?.name || user?.login,
     avatar: user?.avatarUrl,
+    bio: user?.bio || null,
+    company: user?.company || null,
+    location: user?.location || null,
+    pronouns: user?.pronouns || null,
+    status: user?.status?.message || null,
     commits,
     reviews,
     discussions,
@@ -249,6 +1027,8 @@ function mapMetrics(user) {
     prs,
     stars,
     forks,
+    repoCount: repos.length,
+    reposPartial,
     followers,
     following,
     gists,
@@ -256,43 +1036,191 @@ function mapMetrics(user) {
     orgs,
     topRepos,
     topLanguages,
+    languageCount,
+    contributionWeeks: mapContributionWeeks(user?.contributionsCollection?.contributionCalendar),
+    activityHours: calculateActivityHours(user?.contributionsCollection, options.timeZone),
+    timeZone: options.timeZone ?? 'UTC',
     currentStreak: streaks.current,
     longestStreak: streaks.longest,
     mostActiveDay,
     accountAge,
     impactScore,
+    scoreBreakdown: impact.breakdown,
+    scoringProfile: profile.name,
     rank,
-    createdYear: createdDate.getFullYear()
+    createdYear: createdDate.getFullYear(),
+    range: rangeSummary(options.range),
+    includesPrivate: Boolean(options.includePrivate),
+    restrictedContributions,
+    reposCreated: options.includePrivate ? user?.contributionsCollection?.totalRepositoryContributions ?? 0 : null,
+    // Filled in from the snapshot store when one is configured
+    trends: null
   };
   
-  basicMetrics.persona = determineCodingPersona(basicMetrics);
+  const persona = determineCodingPersona(basicMetrics);
+  basicMetrics.persona = persona.name;
+  basicMetrics.personaReason = persona.reason;
+  basicMetrics.badges = awardBadges(basicMetrics);
   
   return basicMetrics;
 }
 
-// Theme definitions
-const themes = {
-  default: {
-    bg: '#0d1117',
-    bgGradient: ['#0d1117', '#161b22'],
-    cardBg: '#161b22',
-    cardBorder: '#30363d',
-    textPrimary: '#c9d1d9',
-    textSecondary: '#8b949e',
-    accent: '#58a6ff',
-    accent2: '#f78166',
-    highlight: '#238636',
-    glassOpacity: 0.1
-  },
-  glass: {
-    bg: '#1a1a2e',
-    bgGradient: ['#1a1a2e', '#16213e'],
-    cardBg: 'rgba(255,255,255,0.05)',
-    cardBorder: 'rgba(255,255,255,0.1)',
-    textPrimary: '#ffffff',
-    textSecondary: '#a0a0a0',
-    accent: '#00d9ff',
-    accent2: '#ff6b9d',
+// The `range=` window as reported in metrics
+function rangeSummary(range) {
+  return range ? { key: range.key, label: range.label, from: range.from ?? null, to: range.to ?? null } : null;
+}
+
+// Snapshot trends: deltas cover the last TRENDS.DAYS days ("this month")
+const TRENDS = {
+  DAYS: 30,
+  METRICS: ['commits', 'prs', 'reviews', 'closedIssues', 'discussions', 'stars', 'forks', 'followers']
+};
+
+// The counters a daily snapshot keeps. Scores and ranks are left out: they
+// depend on the scoring profile, so trends recompute them per request.
+function snapshotOf(metrics, date) {
+  return { date, ...Object.fromEntries(TRENDS.METRICS.map(key => [key, metrics[key] ?? 0])) };
+}
+
+// Growth against the oldest snapshot inside the trend window, the impact
+// score per snapshot for sparklines (today's live metrics last), and how the
+// rank moved under the request's scoring profile (1 up, -1 down, 0 same).
+// Null until there is a snapshot from before today.
+function computeTrends(history, metrics, profile, today) {
+  const since = snapshotDate(new Date(`${today}T00:00:00Z`), TRENDS.DAYS);
+  const past = history.filter(snapshot => snapshot.date >= since && snapshot.date < today);
+  if (past.length === 0) return null;
+
+  const base = past[0];
+  const points = [...past, snapshotOf(metrics, today)];
+  const rankIndex = (rank) => profile.ranks.findIndex(r => r.level === rank.level);
+  const previousRank = calculateRank(scoreImpact(base, profile.weights).score, profile.ranks);
+
+  return {
+    since: base.date,
+    days: Math.round((Date.parse(today) - Date.parse(base.date)) / (24 * 60 * 60 * 1000)),
+    deltas: Object.fromEntries(TRENDS.METRICS.map(key => [key, (metrics[key] ?? 0) - (base[key] ?? 0)])),
+    series: {
+      dates: points.map(point => point.date),
+      impactScore: points.map(point => scoreImpact(point, profile.weights).score),
+      stars: points.map(point => point.stars)
+    },
+    previousRank,
+    rankChange: Math.sign(rankIndex(previousRank) - rankIndex(metrics.rank))
+  };
+}
+
+// Aggregate dashboard for an organization or a team of its members: summed
+// contributions, the org's own repos and language mix, and members ranked
+// by the impact score mapMetrics gave each of them
+function mapOrgMetrics(org, members, options = {}) {
+  const { reposPartial, stars, forks, repos, topRepos, topLanguages } = summarizeRepositories(org?.repositories, options);
+  const sum = (key) => members.reduce((total, member) => total + (member[key] ?? 0), 0);
+
+  return {
+    org: org?.login,
+    name: org?.name || org?.login,
+    avatar: org?.avatarUrl,
+    memberCount: options.memberCount ?? org?.membersWithRole?.totalCount ?? members.length,
+    membersIncluded: members.length,
+    membersMissing: options.membersMissing ?? [],
+    commits: sum('commits'),
+    reviews: sum('reviews'),
+    prs: sum('prs'),
+    stars,
+    forks,
+    repoCount: repos.length,
+    reposPartial,
+    topRepos,
+    topLanguages,
+    leaderboard: [...members]
+      .sort((a, b) => b.impactScore - a.impactScore || b.reviews - a.reviews)
+      .slice(0, ORG_DASHBOARD.LEADERBOARD_SIZE)
+      .map(member => ({
+        login: member.username,
+        impactScore: member.impactScore,
+        rank: member.rank,
+        reviews: member.reviews
+      })),
+    scoringProfile: options.profileName ?? 'default',
+    range: rangeSummary(options.range)
+  };
+}
+
+// Spotlight metrics for one repository: counts, language split by bytes,
+// and weekly commit counts and top committers over the last
+// REPO_SPOTLIGHT.WEEKS weeks
+function mapRepoMetrics(repository, options = {}) {
+  const excludeLangs = options.excludeLangs ?? [];
+  const edges = (repository?.languages?.edges ?? [])
+    .filter(edge => edge?.node?.name && !excludeLangs.includes(edge.node.name.toLowerCase()));
+  const totalSize = edges.reduce((sum, edge) => sum + (edge.size ?? 0), 0);
+  const topLanguages = edges.slice(0, 4).map(edge => ({
+    name: edge.node.name,
+    color: edge.node.color || "#ccc",
+    percent: totalSize > 0 ? Math.round((edge.size / totalSize) * 100) : 0,
+    bytes: edge.size
+  }));
+
+  const recent = repository?.recentCommits ?? { nodes: [], totalCount: 0 };
+  const since = Date.parse(recent.since) || Date.now() - REPO_SPOTLIGHT.WEEKS * 7 * 86400000;
+  const weeklyCommits = new Array(REPO_SPOTLIGHT.WEEKS).fill(0);
+  const authors = {};
+  recent.nodes.forEach(commit => {
+    const week = Math.floor((Date.parse(commit?.committedDate) - since) / (7 * 86400000));
+    if (week >= 0 && week < REPO_SPOTLIGHT.WEEKS) weeklyCommits[week]++;
+    const author = commit?.author?.user?.login ?? commit?.author?.name;
+    if (author) authors[author] = (authors[author] ?? 0) + 1;
+  });
+  const topContributors = Object.entries(authors)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, 3)
+    .map(([login, commits]) => ({ login, commits }));
+
+  return {
+    repo: repository?.nameWithOwner,
+    name: repository?.name,
+    owner: repository?.nameWithOwner?.split('/')[0],
+    description: repository?.description ?? '',
+    stars: repository?.stargazerCount ?? 0,
+    forks: repository?.forkCount ?? 0,
+    openIssues: repository?.openIssues?.totalCount ?? 0,
+    closedIssues: repository?.closedIssues?.totalCount ?? 0,
+    mergedPrs: repository?.mergedPullRequests?.totalCount ?? 0,
+    topLanguages,
+    latestRelease: repository?.latestRelease
+      ? { name: repository.latestRelease.name, tag: repository.latestRelease.tagName, publishedAt: repository.latestRelease.publishedAt }
+      : null,
+    recentCommits: recent.totalCount ?? recent.nodes.length,
+    commitsSampled: recent.nodes.length,
+    weeklyCommits,
+    topContributors
+  };
+}
+
+// Theme definitions
+const themes = {
+  default: {
+    bg: '#0d1117',
+    bgGradient: ['#0d1117', '#161b22'],
+    cardBg: '#161b22',
+    cardBorder: '#30363d',
+    textPrimary: '#c9d1d9',
+    textSecondary: '#8b949e',
+    accent: '#58a6ff',
+    accent2: '#f78166',
+    highlight: '#238636',
+    glassOpacity: 0.1
+  },
+  glass: {
+    bg: '#1a1a2e',
+    bgGradient: ['#1a1a2e', '#16213e'],
+    cardBg: 'rgba(255,255,255,0.05)',
+    cardBorder: 'rgba(255,255,255,0.1)',
+    textPrimary: '#ffffff',
+    textSecondary: '#a0a0a0',
+    accent: '#00d9ff',
+    accent2: '#ff6b9d',
     highlight: '#00ff88',
     glassOpacity: 0.15
   },
@@ -330,7 +1258,8 @@ const themes = {
     accent: '#00ff00',
     accent2: '#88ff88',
     highlight: '#00ff00',
-    glassOpacity: 0.1
+    glassOpacity: 0.1,
+    avatarShape: 'square'
   },
   dracula: {
     bg: '#282a36',
@@ -342,7 +1271,8 @@ const themes = {
     accent: '#bd93f9',
     accent2: '#ff79c6',
     highlight: '#50fa7b',
-    glassOpacity: 0.1
+    glassOpacity: 0.1,
+    avatarShape: 'hexagon'
   },
   nord: {
     bg: '#2e3440',
@@ -354,7 +1284,8 @@ const themes = {
     accent: '#88c0d0',
     accent2: '#81a1c1',
     highlight: '#a3be8c',
-    glassOpacity: 0.1
+    glassOpacity: 0.1,
+    avatarShape: 'rounded'
   },
   cyberpunk: {
     bg: '#0a0a1a',
@@ -366,12 +1297,220 @@ const themes = {
     accent: '#00ffff',
     accent2: '#ff00ff',
     highlight: '#ffff00',
-    glassOpacity: 0.15
+    glassOpacity: 0.15,
+    avatarShape: 'hexagon'
+  },
+  light: {
+    bg: '#ffffff',
+    bgGradient: ['#ffffff', '#f6f8fa'],
+    cardBg: '#f6f8fa',
+    cardBorder: '#d0d7de',
+    textPrimary: '#1f2328',
+    textSecondary: '#656d76',
+    accent: '#0969da',
+    accent2: '#cf222e',
+    highlight: '#1a7f37',
+    glassOpacity: 0.4
+  },
+  solarized_light: {
+    bg: '#fdf6e3',
+    bgGradient: ['#fdf6e3', '#eee8d5'],
+    cardBg: '#eee8d5',
+    cardBorder: '#93a1a1',
+    textPrimary: '#073642',
+    textSecondary: '#586e75',
+    accent: '#268bd2',
+    accent2: '#d33682',
+    highlight: '#859900',
+    glassOpacity: 0.3
+  },
+  nord_light: {
+    bg: '#eceff4',
+    bgGradient: ['#eceff4', '#e5e9f0'],
+    cardBg: '#e5e9f0',
+    cardBorder: '#a5b1c2',
+    textPrimary: '#2e3440',
+    textSecondary: '#4c566a',
+    accent: '#5e81ac',
+    accent2: '#bf616a',
+    highlight: '#6a9a4c',
+    glassOpacity: 0.3,
+    avatarShape: 'rounded'
   }
 };
 
+// Presets `theme=auto` switches between
+const AUTO_THEMES = { light: 'light', dark: 'default' };
+
+const THEME_COLOR_KEYS = ['bg', 'cardBg', 'cardBorder', 'textPrimary', 'textSecondary', 'accent', 'accent2', 'highlight'];
+const THEME_KEYS = [...THEME_COLOR_KEYS, 'bgGradient', 'glassOpacity', 'avatarShape'];
+// Clip shapes for the identity card's avatar; themes without one get a circle
+const AVATAR_SHAPES = ['circle', 'rounded', 'square', 'hexagon'];
+const THEMES_DIR = 'themes';
+
+// Theme colours end up inside the <style> block, so only plain colours get
+// through. Bare hex (`ff00aa`, handy in query strings) gets its `#`.
+function parseThemeColor(value, key, source) {
+  const text = String(value ?? '').trim();
+  const color = /^[0-9a-f]{3,8}$/i.test(text) ? `#${text}` : text;
+  if (safeColor(color, null) !== color) throw new Error(`Invalid ${key} in ${source}: ${text}`);
+  return color;
+}
+
+// Validate a partial theme from the query string or a theme file
+function validateTheme(overrides, source) {
+  const theme = {};
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (THEME_COLOR_KEYS.includes(key)) {
+      theme[key] = parseThemeColor(value, key, source);
+    } else if (key === 'bgGradient') {
+      const stops = Array.isArray(value) ? value : String(value).split(',');
+      if (stops.length > 2) throw new Error(`Invalid bgGradient in ${source}: expected one or two colors`);
+      theme.bgGradient = [stops[0], stops[1] ?? stops[0]].map(stop => parseThemeColor(stop, key, source));
+    } else if (key === 'glassOpacity') {
+      const opacity = Number(value);
+      if (value === '' || !Number.isFinite(opacity) || opacity < 0 || opacity > 1) {
+        throw new Error(`Invalid glassOpacity in ${source}: ${value}`);
+      }
+      theme.glassOpacity = opacity;
+    } else if (key === 'avatarShape') {
+      if (!AVATAR_SHAPES.includes(value)) throw new Error(`Invalid avatarShape in ${source}: ${value}`);
+      theme.avatarShape = value;
+    } else {
+      throw new Error(`Unknown theme key in ${source}: ${key}`);
+    }
+  });
+  return theme;
+}
+
+let customThemesPromise;
+
+// Team themes, read once per instance from themes/ (or CHAOTIC_THEMES_DIR).
+// Each .json/.yaml file is a partial theme named after the file, starting
+// from the preset named by its `extends` key.
+function loadCustomThemes() {
+  customThemesPromise ??= readThemesDir();
+  return customThemesPromise;
+}
+
+async function readThemesDir() {
+  const explicit = process.env.CHAOTIC_THEMES_DIR;
+  const dir = path.resolve(process.cwd(), explicit || THEMES_DIR);
+  let files;
+  try {
+    files = await readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT' && !explicit) return {};
+    throw new Error(`Cannot read themes directory ${dir}: ${error.message}`);
+  }
+
+  const custom = {};
+  for (const file of files.filter(file => /\.(json|ya?ml)$/i.test(file)).sort()) {
+    const name = file.replace(/\.(json|ya?ml)$/i, '');
+    if (Object.hasOwn(themes, name) || Object.hasOwn(custom, name) || name === 'auto') throw new Error(`Theme file ${file} clashes with an existing theme`);
+    const text = await readFile(path.join(dir, file), 'utf8');
+    const { extends: base = 'default', ...overrides } = (/\.ya?ml$/i.test(file) ? parseYAML(text) : JSON.parse(text)) ?? {};
+    if (!Object.hasOwn(themes, base)) throw new Error(`Theme file ${file} extends unknown theme: ${base}`);
+    custom[name] = { ...themes[base], ...validateTheme(overrides, `theme ${file}`) };
+  }
+  return custom;
+}
+
+// `light:X,dark:Y` as { light, dark } theme names; null for a plain name
+function parseThemePair(value) {
+  if (!value.includes(':')) return null;
+  const pair = {};
+  value.split(',').forEach(part => {
+    const [scheme, name] = part.split(':').map(item => item.trim());
+    if (scheme !== 'light' && scheme !== 'dark') throw new Error(`Unknown color scheme in theme: ${scheme}`);
+    pair[scheme] = name;
+  });
+  if (!pair.light || !pair.dark) throw new Error("theme= pairs need both a light: and a dark: theme");
+  return pair;
+}
+
+// Theme for a request: a preset or team theme, with per-key query overrides
+// (`accent=ff00aa`, `bg_gradient=000,222`) validated on top. `theme=auto` and
+// `light:X,dark:Y` give an adaptive theme: the dark palette plus a
+// `prefersLight` palette the SVG switches to with a media query.
+function resolveTheme(query = {}, customThemes = {}) {
+  const params = {};
+  THEME_KEYS.forEach(key => {
+    const value = query[key] ?? query[key.replace(/[A-Z]/g, char => `_${char.toLowerCase()}`)];
+    if (value !== undefined) params[key] = value;
+  });
+  const overrides = validateTheme(params, 'query');
+  const named = (name) => ({ ...lookupTheme(name, customThemes), ...overrides });
+
+  const name = query.theme || 'default';
+  const pair = name === 'auto' ? AUTO_THEMES : parseThemePair(name);
+  if (!pair) return named(name);
+  return { ...named(pair.dark), prefersLight: named(pair.light) };
+}
+
+// A team or preset theme by name. Only own keys count, so names like
+// `constructor` are unknown rather than Object.prototype members.
+function lookupTheme(name, customThemes = {}) {
+  if (Object.hasOwn(customThemes, name)) return customThemes[name];
+  if (Object.hasOwn(themes, name)) return themes[name];
+  throw new Error(`Unknown theme: ${name}`);
+}
+
+// Renderers take either a preset name or an already resolved theme
+function themeFor(theme) {
+  if (typeof theme === 'string') return Object.hasOwn(themes, theme) ? themes[theme] : themes.default;
+  return theme || themes.default;
+}
+
+// Every colour the renderers draw goes through these classes, so an
+// adaptive theme only has to restate them inside a media query
+function paletteRules(theme) {
+  return `
+    .bg-stop-start { stop-color: ${theme.bgGradient[0]}; }
+    .bg-stop-end { stop-color: ${theme.bgGradient[1]}; }
+    .bg-solid { fill: ${theme.bg}; }
+    .frame { stroke: ${theme.cardBorder}; }
+    .card { fill: ${theme.cardBg}; stroke: ${theme.cardBorder}; stroke-width: 1; }
+    .card-glass { fill: ${theme.cardBg}; stroke: ${theme.cardBorder}; stroke-width: 1; filter: url(#glow); }
+    .card-header { fill: ${theme.cardBorder}; }
+    .text-primary { fill: ${theme.textPrimary}; }
+    .text-secondary { fill: ${theme.textSecondary}; }
+    .text-accent { fill: ${theme.accent}; }
+    .text-accent2 { fill: ${theme.accent2}; }
+    .text-highlight { fill: ${theme.highlight}; }
+    .icon { stroke: ${theme.accent}; }
+    .icon-accent { color: ${theme.accent}; }
+    .icon-secondary { stroke: ${theme.textSecondary}; }
+    .stroke-accent2 { stroke: ${theme.accent2}; }
+    .stroke-highlight { stroke: ${theme.highlight}; }
+    .lang-dot { stroke: ${theme.textPrimary}; }
+    .heat-empty { fill: ${theme.cardBorder}; }
+    .heat-on { fill: ${theme.highlight}; }
+    .sparkline { stroke: ${theme.accent}; stroke-width: 1.5; fill: none; }
+    .sparkline-area { fill: ${theme.accent}; opacity: 0.15; }
+    .cuboid-edge { stroke: ${theme.cardBorder}; stroke-width: 2; fill: none; }
+    .cuboid-face { fill: ${theme.cardBg}; opacity: ${theme.glassOpacity}; }
+    .grid-line { stroke: ${theme.cardBorder}; stroke-width: 0.5; opacity: 0.3; }
+    .sticker { fill: ${theme.bg}; stroke: currentColor; stroke-width: 1.5; }
+    .avatar-ring { fill: none; stroke: ${theme.accent}; stroke-width: 1.5; }
+  `;
+}
+
+// Theme CSS for a <style> block; values were validated when the theme was resolved
+function themeStyles(theme) {
+  const light = theme.prefersLight
+    ? `@media (prefers-color-scheme: light) {${paletteRules(theme.prefersLight)}}`
+    : '';
+  return raw(paletteRules(theme) + light);
+}
+
+const backgroundGradient = xml`<linearGradient id="bgGradient" x1="0%" y1="0%" x2="100%" y2="100%">
+      <stop offset="0%" class="bg-stop-start"/>
+      <stop offset="100%" class="bg-stop-end"/>
+    </linearGradient>`;
+
 // SVG Icon definitions (minimalist stroke-based, 2px stroke)
-const iconDefs = `
+const iconDefs = raw(`
   <symbol id="icon-flame" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
     <path d="M12 2c0 4-3 6-3 10a5 5 0 1 0 10 0c0-4-3-6-3-10"/>
     <path d="M12 14a2 2 0 0 0-2 2c0 1.1.9 2 2 2s2-.9 2-2a2 2 0 0 0-2-2z"/>
@@ -442,6 +1581,10 @@ const iconDefs = `
   <symbol id="icon-heart" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
     <path d="M19 14c1.49-1.46 3-3.21 3-5.5A5.5 5.5 0 0 0 16.5 3c-1.76 0-3 .5-4.5 2-1.5-1.5-2.74-2-4.5-2A5.5 5.5 0 0 0 2 8.5c0 2.3 1.5 4.05 3 5.5l7 7Z"/>
   </symbol>
+  <symbol id="icon-lock" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+    <rect x="3" y="11" width="18" height="11" rx="2"/>
+    <path d="M7 11V7a5 5 0 0 1 10 0v4"/>
+  </symbol>
   <symbol id="icon-shield" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
     <path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/>
   </symbol>
@@ -460,218 +1603,980 @@ const iconDefs = `
     <path d="M14.5 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V7.5L14.5 2z"/>
     <polyline points="14 2 14 8 20 8"/>
   </symbol>
-`;
+`);
 
 // Helper to truncate strings with ellipsis
 function truncateString(str, maxLen = 12) {
   return str.length > maxLen ? str.substring(0, maxLen) + '...' : str;
 }
 
-// 3D Cuboid container dimensions
+// Horizontal positions in a box `width` wide, for the locale's reading
+// direction. Right-to-left locales mirror the box: `x(at, w)` flips a
+// position (of something `w` wide), `local(at, w)` flips one inside a group
+// already placed with x(), and `anchor()` swaps text-anchor start and end.
+// Anchors are swapped by hand because SVG renderers disagree on `direction`.
+function axisFor(width, rtl) {
+  const swap = { start: 'end', end: 'start', middle: 'middle' };
+  return {
+    x: (at, w = 0) => rtl ? width - at - w : at,
+    local: (at, w = 0) => rtl ? -at - w : at,
+    anchor: (anchor = 'start') => rtl ? swap[anchor] : anchor
+  };
+}
+
+// English, for callers that don't pass `options.locale`
+const defaultLocale = createLocale();
+
+// Lock and "Includes private activity" for `private=true` cards, centred on
+// `x` or, with align "start", starting there in the reading direction
+function privateMarker(x, y, locale, align = 'middle') {
+  const label = locale.t('Includes private activity');
+  const width = 16 + label.length * 6;
+  const offset = align === 'middle' ? width / 2 : locale.rtl ? width : 0;
+  const axis = axisFor(width, locale.rtl);
+  return xml`
+  <g transform="translate(${round1(x - offset)}, ${y - 10})" class="private-marker" opacity="0.8">
+    <use href="#icon-lock" x="${axis.x(0, 12)}" y="0" width="12" height="12" class="icon-secondary"/>
+    <text x="${axis.x(16)}" y="10" class="text-mono text-secondary" font-size="10" text-anchor="${axis.anchor()}">${label}</text>
+  </g>`;
+}
+
+// Canvas presets for `layout=`: the canvas size, the cuboid's margins
+// (`side` left and right of it, `depth` from its front edge to the back
+// face, `top` and `foot` above and below the back face) and, optionally,
+// the user cards it shows when `cards=` doesn't pick them
+const LAYOUT_PRESETS = {
+  cuboid: { width: 900, height: 450, side: 50, depth: 50, top: 80, foot: 80 },
+  compact: { width: 600, height: 360, side: 30, depth: 40, top: 50, foot: 60, cards: ['identity', 'stats', 'langs', 'impact'] },
+  wide: {
+    width: 1200, height: 450, side: 50, depth: 60, top: 80, foot: 80,
+    cards: ['identity', 'streaks', 'stats', 'langs', 'repos', 'social', 'impact', 'activity', 'trends', 'heatmap']
+  },
+  vertical: { width: 440, height: 800, side: 20, depth: 30, top: 50, foot: 60 },
+  banner: { width: 1280, height: 320, side: 40, depth: 60, top: 24, foot: 60 }
+};
+
+// Everything `layout=` accepts: the presets, plus the standalone heatmap
+const LAYOUTS = [...Object.keys(LAYOUT_PRESETS), 'heatmap'];
+
 const CUBOID = {
-  LEFT: 50,
-  RIGHT: 850,
-  TOP: 80,
-  BOTTOM: 370,
-  INNER_LEFT: 100,
-  INNER_RIGHT: 800,
-  DEPTH_OFFSET: 20,
-  GRID_COLS: 8,
-  GRID_ROWS: 5
+  DEPTH_OFFSET: 20,  // how far the front edge sits below the back face
+  GRID_CELL: 88,     // rough size of a back-face grid cell
+  GRID_ROW: 58
 };
 
-function generateSVG(metrics, themeName = 'default', chaosLevel = 5) {
-  const theme = themes[themeName] || themes.default;
-  const random = seededRandom(metrics.username + chaosLevel);
-  
-  // Chaos rotation helper
-  const chaosRotation = () => (random() - 0.5) * chaosLevel * 4;
-  const chaosOffset = () => (random() - 0.5) * chaosLevel * 3;
-  
-  // Use system fonts with fallbacks for better SVG compatibility
-  const css = `
-    .bg { fill: url(#bgGradient); }
-    .text-main { font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif; }
-    .text-mono { font-family: 'JetBrains Mono', 'Courier New', monospace; }
-    .card { fill: ${theme.cardBg}; stroke: ${theme.cardBorder}; stroke-width: 1; }
-    .card-glass { fill: ${theme.cardBg}; stroke: ${theme.cardBorder}; stroke-width: 1; filter: url(#glow); }
-    .text-primary { fill: ${theme.textPrimary}; }
-    .text-secondary { fill: ${theme.textSecondary}; }
-    .text-accent { fill: ${theme.accent}; }
-    .text-accent2 { fill: ${theme.accent2}; }
-    .text-highlight { fill: ${theme.highlight}; }
-    .icon { stroke: ${theme.accent}; }
-    .icon-secondary { stroke: ${theme.textSecondary}; }
-    .cuboid-edge { stroke: ${theme.cardBorder}; stroke-width: 2; fill: none; }
-    .cuboid-face { fill: ${theme.cardBg}; opacity: ${theme.glassOpacity}; }
-    .grid-line { stroke: ${theme.cardBorder}; stroke-width: 0.5; opacity: 0.3; }
-  `;
+// `layout=` as a LAYOUTS entry; empty means the classic cuboid
+function parseLayout(value) {
+  if (!value) return 'cuboid';
+  const layout = String(value).trim().toLowerCase();
+  if (!LAYOUTS.includes(layout)) throw new Error(`Unknown layout: ${value}`);
+  return layout;
+}
 
-  // Generate floating cards with chaos
-  const generateFloatingCard = (x, y, width, height, rotation, content, title, iconId) => `
-    <g transform="translate(${x + chaosOffset()}, ${y + chaosOffset()}) rotate(${rotation + chaosRotation()}, ${width/2}, ${height/2})">
-      <rect x="0" y="0" width="${width}" height="${height}" rx="8" class="card-glass"/>
-      <rect x="0" y="0" width="${width}" height="28" rx="8" fill="${theme.cardBorder}" opacity="0.5"/>
-      <rect x="0" y="14" width="${width}" height="14" fill="${theme.cardBorder}" opacity="0.5"/>
-      <use href="#${iconId}" x="8" y="6" width="16" height="16" class="icon"/>
-      <text x="28" y="19" class="text-main text-primary" font-size="11" font-weight="600">${title}</text>
-      ${content}
-    </g>
-  `;
+// The cuboid's corners and back-face grid for a preset
+function cuboidGeometry(preset) {
+  const left = preset.side;
+  const right = preset.width - preset.side;
+  const innerLeft = left + preset.depth;
+  const innerRight = right - preset.depth;
+  const top = preset.top;
+  const bottom = preset.height - preset.foot;
+  return {
+    width: preset.width,
+    height: preset.height,
+    left,
+    right,
+    innerLeft,
+    innerRight,
+    top,
+    bottom,
+    depthOffset: CUBOID.DEPTH_OFFSET,
+    gridCols: Math.max(1, Math.round((innerRight - innerLeft) / CUBOID.GRID_CELL)),
+    gridRows: Math.max(1, Math.round((bottom - top) / CUBOID.GRID_ROW))
+  };
+}
 
-  // Identity card content
-  const identityContent = `
-    <text x="${60}" y="55" class="text-mono text-accent" font-size="14" font-weight="700" text-anchor="middle">@${metrics.username}</text>
-    <text x="${60}" y="75" class="text-main text-secondary" font-size="10" text-anchor="middle">${metrics.persona}</text>
-    <text x="${60}" y="100" class="text-mono text-highlight" font-size="24" font-weight="700" text-anchor="middle">${metrics.rank.level}</text>
-    <text x="${60}" y="115" class="text-main text-secondary" font-size="9" text-anchor="middle">${metrics.rank.title}</text>
-    ${metrics.sponsorships > 0 ? `<use href="#icon-heart" x="50" y="120" width="20" height="20" style="stroke: ${theme.accent2};"/>` : ''}
-  `;
+// `width=` scales the whole image. The scale stays within OUTPUT_SCALE so
+// the smallest (8px) labels stay readable and the image stays sane.
+const OUTPUT_SCALE = { MIN: 0.5, MAX: 3 };
+const OUTPUT_WIDTH = { MIN: 100, MAX: 4000 };
 
-  // Streaks card content
-  const streaksContent = `
-    <g transform="translate(10, 40)">
-      <use href="#icon-flame" x="0" y="0" width="18" height="18" style="stroke: ${theme.accent2};"/>
-      <text x="24" y="14" class="text-main text-primary" font-size="10">Current</text>
-      <text x="90" y="14" class="text-mono text-accent2" font-size="12" font-weight="700" text-anchor="end">${metrics.currentStreak}d</text>
-    </g>
-    <g transform="translate(10, 65)">
-      <use href="#icon-trophy" x="0" y="0" width="18" height="18" style="stroke: ${theme.highlight};"/>
-      <text x="24" y="14" class="text-main text-primary" font-size="10">Longest</text>
-      <text x="90" y="14" class="text-mono text-highlight" font-size="12" font-weight="700" text-anchor="end">${metrics.longestStreak}d</text>
-    </g>
-  `;
+function parseOutputWidth(value) {
+  if (value === undefined || value === '') return undefined;
+  const width = Number(value);
+  if (!Number.isInteger(width) || width < OUTPUT_WIDTH.MIN || width > OUTPUT_WIDTH.MAX) {
+    throw new Error(`width= must be a whole number from ${OUTPUT_WIDTH.MIN} to ${OUTPUT_WIDTH.MAX}`);
+  }
+  return width;
+}
 
-  // Core stats card content
-  const coreStatsContent = `
-    <g transform="translate(10, 40)">
-      <use href="#icon-git-commit" x="0" y="0" width="14" height="14" class="icon-secondary"/>
-      <text x="18" y="11" class="text-main text-secondary" font-size="9">Commits</text>
-      <text x="95" y="11" class="text-mono text-primary" font-size="10" text-anchor="end">${metrics.commits}</text>
-    </g>
-    <g transform="translate(10, 58)">
-      <use href="#icon-git-pr" x="0" y="0" width="14" height="14" class="icon-secondary"/>
-      <text x="18" y="11" class="text-main text-secondary" font-size="9">PRs Merged</text>
-      <text x="95" y="11" class="text-mono text-primary" font-size="10" text-anchor="end">${metrics.prs}</text>
-    </g>
-    <g transform="translate(10, 76)">
-      <use href="#icon-eye" x="0" y="0" width="14" height="14" class="icon-secondary"/>
-      <text x="18" y="11" class="text-main text-secondary" font-size="9">Reviews</text>
-      <text x="95" y="11" class="text-mono text-primary" font-size="10" text-anchor="end">${metrics.reviews}</text>
-    </g>
-    <g transform="translate(10, 94)">
-      <use href="#icon-check-circle" x="0" y="0" width="14" height="14" class="icon-secondary"/>
-      <text x="18" y="11" class="text-main text-secondary" font-size="9">Issues</text>
-      <text x="95" y="11" class="text-mono text-primary" font-size="10" text-anchor="end">${metrics.closedIssues}</text>
-    </g>
-    <g transform="translate(10, 112)">
-      <use href="#icon-star" x="0" y="0" width="14" height="14" class="icon-secondary"/>
-      <text x="18" y="11" class="text-main text-secondary" font-size="9">Stars</text>
-      <text x="95" y="11" class="text-mono text-primary" font-size="10" text-anchor="end">${metrics.stars}</text>
-    </g>
-    <g transform="translate(10, 130)">
-      <use href="#icon-git-fork" x="0" y="0" width="14" height="14" class="icon-secondary"/>
-      <text x="18" y="11" class="text-main text-secondary" font-size="9">Forks</text>
-      <text x="95" y="11" class="text-mono text-primary" font-size="10" text-anchor="end">${metrics.forks}</text>
-    </g>
-  `;
+// Root <svg> size attributes for a canvas, scaled to `outputWidth` if given
+function canvasAttributes(width, height, outputWidth) {
+  const scale = outputWidth ? Math.min(OUTPUT_SCALE.MAX, Math.max(OUTPUT_SCALE.MIN, outputWidth / width)) : 1;
+  return raw(`width="${Math.round(width * scale)}" height="${Math.round(height * scale)}" viewBox="0 0 ${width} ${height}"`);
+}
 
-  // Languages card content
-  const langBars = metrics.topLanguages.map((lang, i) => `
-    <g transform="translate(10, ${40 + i * 22})">
-      <circle cx="6" cy="6" r="5" fill="${lang.color}" stroke="${theme.textPrimary}" stroke-width="1"/>
-      <text x="16" y="10" class="text-main text-primary" font-size="9">${lang.name}</text>
-      <text x="95" y="10" class="text-mono text-secondary" font-size="8" text-anchor="end">${lang.percent}%</text>
-    </g>
-  `).join('');
+// Layout engine tuning (per chaos level where noted)
+const LAYOUT = {
+  PADDING: 10,
+  GAP: 12,
+  COLUMN_WIDTH: 120,
+  ROTATION: 1.2,     // max degrees of tilt per chaos level
+  JITTER: 4,         // max px of drift per chaos level
+  SQUEEZE: 0.035,    // fraction pulled toward the centre per chaos level
+  MAX_COVERED: 0.35, // max share of a card that later cards may cover
+  SCALE_STEP: 0.05,  // cards that don't fit shrink in steps of this much
+  MIN_SCALE: 0.5     // ...down to this; a smaller card couldn't be read
+};
 
-  const languagesContent = langBars || `<text x="10" y="50" class="text-main text-secondary" font-size="9">No languages found</text>`;
+const round1 = (n) => Math.round(n * 10) / 10;
 
-  // Top repos card content
-  const repoItems = metrics.topRepos.map((repo, i) => `
-    <g transform="translate(10, ${40 + i * 22})">
-      <use href="#icon-book" x="0" y="0" width="14" height="14" class="icon-secondary"/>
-      <text x="18" y="11" class="text-main text-primary" font-size="9">${truncateString(repo.name)}</text>
-      <use href="#icon-star" x="80" y="0" width="12" height="12" style="stroke: ${theme.accent2};"/>
-      <text x="95" y="11" class="text-mono text-accent2" font-size="8">${repo.stars}</text>
-    </g>
-  `).join('');
+// Axis-aligned box of a card rotated around its own centre
+function cardBox(card, place) {
+  const rad = place.rotation * Math.PI / 180;
+  const cos = Math.abs(Math.cos(rad));
+  const sin = Math.abs(Math.sin(rad));
+  const halfW = (card.width * cos + card.height * sin) / 2;
+  const halfH = (card.width * sin + card.height * cos) / 2;
+  const cx = place.x + card.width / 2;
+  const cy = place.y + card.height / 2;
+  return { left: cx - halfW, right: cx + halfW, top: cy - halfH, bottom: cy + halfH };
+}
 
-  const reposContent = repoItems || `<text x="10" y="50" class="text-main text-secondary" font-size="9">No repos found</text>`;
+function overlapArea(a, b) {
+  const w = Math.min(a.right, b.right) - Math.max(a.left, b.left);
+  const h = Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top);
+  return w > 0 && h > 0 ? w * h : 0;
+}
 
-  // Social card content
-  const socialContent = `
-    <g transform="translate(10, 40)">
-      <use href="#icon-users" x="0" y="0" width="14" height="14" class="icon-secondary"/>
-      <text x="18" y="11" class="text-main text-secondary" font-size="9">Followers</text>
-      <text x="85" y="11" class="text-mono text-primary" font-size="10" text-anchor="end">${metrics.followers}</text>
-    </g>
-    <g transform="translate(10, 58)">
-      <use href="#icon-chat" x="0" y="0" width="14" height="14" class="icon-secondary"/>
-      <text x="18" y="11" class="text-main text-secondary" font-size="9">Discussions</text>
-      <text x="85" y="11" class="text-mono text-primary" font-size="10" text-anchor="end">${metrics.discussions}</text>
-    </g>
-    <g transform="translate(10, 76)">
-      <use href="#icon-file" x="0" y="0" width="14" height="14" class="icon-secondary"/>
-      <text x="18" y="11" class="text-main text-secondary" font-size="9">Gists</text>
-      <text x="85" y="11" class="text-mono text-primary" font-size="10" text-anchor="end">${metrics.gists}</text>
-    </g>
-  `;
+// Chaos level 0: top-aligned columns, each card dropped into the shortest
+// run of columns it spans, and the whole block centred in the bounds
+function gridLayout(cards, bounds) {
+  const innerWidth = bounds.right - bounds.left - LAYOUT.PADDING * 2;
+  const innerHeight = bounds.bottom - bounds.top - LAYOUT.PADDING * 2;
+  const spans = cards.map(card => Math.max(1, Math.ceil((card.width + LAYOUT.GAP) / (LAYOUT.COLUMN_WIDTH + LAYOUT.GAP))));
+  const maxCols = Math.max(1, Math.floor((innerWidth + LAYOUT.GAP) / (LAYOUT.COLUMN_WIDTH + LAYOUT.GAP)));
+  const colCount = Math.min(maxCols, Math.max(...spans, spans.reduce((sum, span) => sum + span, 0)));
+  const heights = new Array(colCount).fill(0);
+
+  const slots = cards.map((card, i) => {
+    const span = Math.min(spans[i], colCount);
+    let bestCol = 0;
+    let bestTop = Infinity;
+    for (let col = 0; col + span <= colCount; col++) {
+      const top = Math.max(...heights.slice(col, col + span));
+      if (top < bestTop) {
+        bestTop = top;
+        bestCol = col;
+      }
+    }
+    for (let col = bestCol; col < bestCol + span; col++) heights[col] = bestTop + card.height + LAYOUT.GAP;
+    return { col: bestCol, top: bestTop };
+  });
 
-  // Impact score card content
-  const impactContent = `
-    <text x="50" y="65" class="text-mono text-accent" font-size="32" font-weight="700" text-anchor="middle">${metrics.impactScore}</text>
-    <text x="50" y="85" class="text-main text-secondary" font-size="9" text-anchor="middle">Impact Score</text>
+  const blockWidth = colCount * LAYOUT.COLUMN_WIDTH + (colCount - 1) * LAYOUT.GAP;
+  const blockHeight = Math.max(...heights) - LAYOUT.GAP;
+  const originX = bounds.left + LAYOUT.PADDING + Math.max(0, (innerWidth - blockWidth) / 2);
+  const originY = bounds.top + LAYOUT.PADDING + Math.max(0, (innerHeight - blockHeight) / 2);
+
+  return slots.map(slot => ({
+    x: originX + slot.col * (LAYOUT.COLUMN_WIDTH + LAYOUT.GAP),
+    y: originY + slot.top,
+    rotation: 0
+  }));
+}
+
+// The bounds as seen by cards drawn at `scale`
+function scaleBounds(bounds, scale) {
+  return {
+    left: bounds.left / scale,
+    right: bounds.right / scale,
+    top: bounds.top / scale,
+    bottom: bounds.bottom / scale
+  };
+}
+
+// Largest scale at which the chaos-0 grid of `cards` fits the bounds.
+// Cards are laid out in scaleBounds() and drawn at this scale, so a
+// selection too big for the canvas shrinks instead of spilling out of the
+// cuboid; null when it wouldn't fit even at LAYOUT.MIN_SCALE.
+function fitScale(cards, bounds) {
+  const steps = Math.round((1 - LAYOUT.MIN_SCALE) / LAYOUT.SCALE_STEP);
+  for (let step = 0; step <= steps; step++) {
+    const scale = Math.round((1 - step * LAYOUT.SCALE_STEP) * 100) / 100;
+    const inner = scaleBounds(bounds, scale);
+    const fits = gridLayout(cards, inner).every((slot, i) =>
+      slot.x + cards[i].width <= inner.right - LAYOUT.PADDING + 0.01 &&
+      slot.y + cards[i].height <= inner.bottom - LAYOUT.PADDING + 0.01);
+    if (fits) return scale;
+  }
+  return null;
+}
+
+// Shift a placement so its rotated box stays inside the bounds
+function clampToBounds(card, place, bounds) {
+  const box = cardBox(card, place);
+  let { x, y } = place;
+  if (box.left < bounds.left) x += bounds.left - box.left;
+  else if (box.right > bounds.right) x -= box.right - bounds.right;
+  if (box.top < bounds.top) y += bounds.top - box.top;
+  else if (box.bottom > bounds.bottom) y -= box.bottom - bounds.bottom;
+  return { ...place, x, y };
+}
+
+// Deterministic card placement. Chaos adds tilt, drift and a pull toward the
+// centre (overlap), but every card stays inside the bounds and any card that
+// later cards would bury is eased back toward its grid slot until readable.
+// The bounds have to fit the cards' grid (see fitScale).
+function layoutCards(cards, chaosLevel, random, bounds) {
+  const grid = gridLayout(cards, bounds);
+  const centreX = (bounds.left + bounds.right) / 2;
+  const centreY = (bounds.top + bounds.bottom) / 2;
+  const squeeze = chaosLevel * LAYOUT.SQUEEZE;
+
+  const drift = cards.map((card, i) => ({
+    dx: (centreX - grid[i].x - card.width / 2) * squeeze + (random() - 0.5) * 2 * chaosLevel * LAYOUT.JITTER,
+    dy: (centreY - grid[i].y - card.height / 2) * squeeze + (random() - 0.5) * 2 * chaosLevel * LAYOUT.JITTER,
+    rotation: (random() - 0.5) * 2 * chaosLevel * LAYOUT.ROTATION
+  }));
+  const weights = cards.map(() => 1);
+
+  const place = () => cards.map((card, i) => clampToBounds(card, {
+    x: grid[i].x + drift[i].dx * weights[i],
+    y: grid[i].y + drift[i].dy * weights[i],
+    rotation: drift[i].rotation * weights[i]
+  }, bounds));
+
+  // Weight 0 is the grid slot, which fits the bounds without overlapping,
+  // so this always settles
+  let placements = place();
+  for (;;) {
+    const boxes = cards.map((card, i) => cardBox(card, placements[i]));
+    const offenders = new Set();
+    cards.forEach((card, i) => {
+      const covering = [];
+      let covered = 0;
+      for (let j = i + 1; j < cards.length; j++) {
+        const area = overlapArea(boxes[i], boxes[j]);
+        if (area > 0) {
+          covered += area;
+          covering.push(j);
+        }
+      }
+      if (covered > card.width * card.height * LAYOUT.MAX_COVERED) {
+        [i, ...covering].forEach(k => { if (weights[k] > 0) offenders.add(k); });
+      }
+    });
+    if (offenders.size === 0) break;
+    offenders.forEach(k => { weights[k] = Math.max(0, weights[k] - 0.25); });
+    placements = place();
+  }
+
+  return placements.map(p => ({ x: round1(p.x), y: round1(p.y), rotation: round1(p.rotation) }));
+}
+
+// Badge stickers along the cuboid's front edge
+const STICKERS = {
+  MAX: 5,
+  SLOT: 110,   // min px of front edge per sticker, so narrow canvases show fewer
+  HEIGHT: 20,
+  CHAR_WIDTH: 5.6,
+  ROTATION: 2, // max degrees of tilt per chaos level
+  JITTER: 2    // max px of drift per chaos level
+};
+
+// The best badges as tilted stickers, one per slot across the front edge
+// (starting on the right for right-to-left locales). Drawn after the cards
+// so their random draws don't move the layout.
+function renderStickers(badges, chaosLevel, random, cuboid, locale = defaultLocale) {
+  const room = Math.max(1, Math.floor((cuboid.innerRight - cuboid.innerLeft) / STICKERS.SLOT));
+  const shown = badges.slice(0, Math.min(STICKERS.MAX, room));
+  const slot = (cuboid.innerRight - cuboid.innerLeft) / shown.length;
+  const canvas = axisFor(cuboid.width, locale.rtl);
+  return shown.map((badge, i) => {
+    const label = locale.t(badge.label);
+    const width = Math.round(label.length * STICKERS.CHAR_WIDTH + 28);
+    const axis = axisFor(width, locale.rtl);
+    const cx = canvas.x(cuboid.innerLeft + slot * (i + 0.5)) + (random() - 0.5) * 2 * chaosLevel * STICKERS.JITTER;
+    const cy = cuboid.bottom + cuboid.depthOffset / 2 + (random() - 0.5) * chaosLevel * STICKERS.JITTER;
+    const rotation = round1((random() - 0.5) * 2 * chaosLevel * STICKERS.ROTATION);
+    return xml`
+    <g transform="translate(${round1(cx - width / 2)}, ${round1(cy - STICKERS.HEIGHT / 2)}) rotate(${rotation}, ${width / 2}, ${STICKERS.HEIGHT / 2})" class="tier-${badge.tier}">
+      <title>${label} (${badge.tier}): ${badge.reason}</title>
+      <rect x="0" y="0" width="${width}" height="${STICKERS.HEIGHT}" rx="${STICKERS.HEIGHT / 2}" class="sticker"/>
+      <circle cx="${axis.x(11)}" cy="${STICKERS.HEIGHT / 2}" r="4" fill="currentColor"/>
+      <text x="${axis.x(20)}" y="13.5" class="text-main text-primary" font-size="9" font-weight="600" text-anchor="${axis.anchor()}">${label}</text>
+    </g>`;
+  });
+}
+
+// animate=true timings (seconds) and motion ranges
+const ANIMATION = {
+  ENTER: 0.7,          // card drift-in duration
+  STAGGER: 0.08,       // delay between cards entering
+  DRIFT: 30,           // px a card drifts in from
+  CHAOS_DRIFT: 6,      // extra drift px per chaos level
+  COUNT_DELAY: 0.5,    // numbers start counting this long after the first card
+  COUNT_FRAMES: 6,     // intermediate values shown while counting
+  COUNT_STEP: 0.12,    // how long each intermediate value shows
+  WOBBLE: 0.25         // max degrees of idle wobble per chaos level
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// A number in the locale's format that counts up from zero when animated.
+// The intermediate values are separate tspans, transparent unless their
+// animation runs; the last tspan is the real value, so a viewer that doesn't
+// animate sees the static card. `unit` is an Intl unit ('day'), `suffix`
+// plain text after the number.
+function countUp(value, x, options = {}, { unit, suffix = '' } = {}) {
+  const locale = options.locale ?? defaultLocale;
+  const format = (n) => `${locale.number(n, unit)}${suffix}`;
+  if (!options.animate || !Number.isInteger(value) || value <= 0) return format(value);
+  const frames = Array.from({ length: ANIMATION.COUNT_FRAMES }, (_, i) => Math.floor(value * i / ANIMATION.COUNT_FRAMES));
+  return xml`${frames.map((frame, i) => xml`<tspan x="${x}" fill-opacity="0" class="count-frame" style="animation-delay: ${round2(ANIMATION.COUNT_DELAY + i * ANIMATION.COUNT_STEP)}s">${format(frame)}</tspan>`)}<tspan x="${x}" class="count-final">${format(value)}</tspan>`;
+}
+
+// Keyframes for animate=true, all inside a prefers-reduced-motion query.
+// Every animation ends on (or idles around) the element's static state.
+function animationStyles(cardCount, chaosLevel, random) {
+  const drift = ANIMATION.DRIFT + chaosLevel * ANIMATION.CHAOS_DRIFT;
+  const wobble = round2(chaosLevel * ANIMATION.WOBBLE);
+  const countEnd = round2(ANIMATION.COUNT_DELAY + ANIMATION.COUNT_FRAMES * ANIMATION.COUNT_STEP);
+  const settled = round2(ANIMATION.ENTER + cardCount * ANIMATION.STAGGER);
+
+  const perCard = Array.from({ length: cardCount }, (_, i) => {
+    const dx = round1((random() - 0.5) * 2 * drift);
+    const dy = round1((random() - 0.5) * 2 * drift);
+    const delay = round2(i * ANIMATION.STAGGER);
+    const period = round2(5 + random() * 3);
+    return `
+    @keyframes enter-${i} { from { transform: translate(${dx}px, ${dy}px); opacity: 0; } }
+    .enter-${i} { animation: enter-${i} ${ANIMATION.ENTER}s cubic-bezier(0.2, 0.8, 0.2, 1) ${delay}s backwards; }
+    ${wobble > 0 ? `.wobble-${i} { transform-box: fill-box; transform-origin: center; animation: wobble ${period}s ease-in-out ${settled}s infinite; }` : ''}`;
+  }).join('');
+
+  return raw(`
+    @media (prefers-reduced-motion: no-preference) {
+    @keyframes wobble { 0%, 100% { transform: rotate(0deg); } 25% { transform: rotate(${wobble}deg); } 75% { transform: rotate(-${wobble}deg); } }
+    @keyframes flicker { 0% { transform: scale(1, 1); opacity: 1; } 50% { transform: scale(0.92, 1.08); opacity: 0.75; } 100% { transform: scale(1.04, 0.96); opacity: 1; } }
+    @keyframes count-show { from, to { fill-opacity: 1; } }
+    @keyframes count-hide { from, to { fill-opacity: 0; } }
+    @keyframes fade-in { from { opacity: 0; } }
+    ${perCard}
+    use[href="#icon-flame"] { transform-box: fill-box; transform-origin: 50% 100%; animation: flicker 1.1s ease-in-out infinite alternate; }
+    .count-frame { animation: count-show ${ANIMATION.COUNT_STEP}s steps(1); }
+    .count-final { animation: count-hide ${countEnd}s steps(1); }
+    .stickers { animation: fade-in 0.6s ease-out ${settled}s backwards; }
+    }
+  `);
+}
+
+// Contribution heatmap settings
+const HEATMAP = {
+  CARD_WEEKS: 20,
+  MAX_WEEKS: 53,
+  SCALES: ['quartile', 'log'],
+  LEVEL_OPACITY: [0.3, 0.5, 0.75, 1]
+};
+
+// Draw the last `weeks` calendar columns as cells, one column per week
+function renderHeatmapCells(contributionWeeks, weeks, scale, cell, gap) {
+  const recent = contributionWeeks.slice(-weeks);
+  const levels = heatmapLevels(recent.flat().map(day => day.count), scale);
+  const radius = Math.min(2, cell / 4);
+  let index = 0;
+
+  return recent.map((week, col) => week.map(day => {
+    const level = levels[index++];
+    const fill = level === 0
+      ? xml`class="heat-empty" fill-opacity="0.35"`
+      : xml`class="heat-on" fill-opacity="${HEATMAP.LEVEL_OPACITY[level - 1]}"`;
+    return xml`<rect x="${col * (cell + gap)}" y="${day.weekday * (cell + gap)}" width="${cell}" height="${cell}" rx="${radius}" ${fill}/>`;
+  }));
+}
+
+// Line through `values` scaled into a width x height box, with a faint area
+// under it. `floor` is the value drawn at the bottom edge.
+function renderSparkline(values, width, height, floor = 0) {
+  const span = Math.max(1, Math.max(...values) - floor);
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+  const points = values.map((value, i) => `${round1(i * step)},${round1(height - ((value - floor) / span) * height)}`).join(' ');
+  return xml`
+    <polygon points="0,${height} ${points} ${round1((values.length - 1) * step)},${height}" class="sparkline-area"/>
+    <polyline points="${points}" class="sparkline" stroke-linejoin="round" stroke-linecap="round"/>`;
+}
+
+function sumContributions(contributionWeeks, weeks) {
+  return contributionWeeks.slice(-weeks).flat().reduce((sum, day) => sum + day.count, 0);
+}
+
+// Identity card sizes: the card without extras, the avatar and the block it
+// adds above the username, and one profile line
+const IDENTITY = {
+  BASE_HEIGHT: 140,
+  AVATAR: 36,
+  AVATAR_BLOCK: 42,
+  LINE: 12
+};
+
+// Profile lines the identity card can add, in drawing order
+const PROFILE_FIELDS = ['pronouns', 'bio', 'company', 'location', 'status'];
+// Everything `show=` accepts; the avatar is on unless `show=` leaves it out
+const SHOW_FIELDS = ['avatar', ...PROFILE_FIELDS];
+const DEFAULT_SHOW = ['avatar'];
+
+// `show=` as a list of SHOW_FIELDS; `none` shows no extras
+function parseShowParam(value) {
+  const fields = parseListParam(value);
+  if (fields.length === 0) return DEFAULT_SHOW;
+  if (fields.length === 1 && fields[0] === 'none') return [];
+  const unknown = fields.find(field => !SHOW_FIELDS.includes(field));
+  if (unknown) throw new Error(`Unknown show= field: ${unknown}`);
+  return fields;
+}
+
+// Where the identity card's extras go: the avatar block on top, then one
+// line per requested profile field the user has filled in
+function identityLayout(metrics, options = {}) {
+  const show = options.show ?? DEFAULT_SHOW;
+  const avatarTop = show.includes('avatar') ? IDENTITY.AVATAR_BLOCK : 0;
+  // As many lines as fit in the cuboid (`options.maxCardHeight`)
+  const room = Math.floor(((options.maxCardHeight ?? Infinity) - IDENTITY.BASE_HEIGHT - avatarTop - 6) / IDENTITY.LINE);
+  const lines = PROFILE_FIELDS
+    .filter(field => show.includes(field) && metrics[field])
+    .slice(0, Math.max(0, room))
+    .map(field => ({ field, text: metrics[field] }));
+  const height = IDENTITY.BASE_HEIGHT + avatarTop + (lines.length > 0 ? lines.length * IDENTITY.LINE + 6 : 0);
+  return { avatarTop, lines, height };
+}
+
+// Outline of the avatar in the theme's shape, centred on (cx, cy)
+function avatarShape(shape, cx, cy, size) {
+  const half = size / 2;
+  switch (shape) {
+    case 'rounded': return xml`<rect x="${cx - half}" y="${cy - half}" width="${size}" height="${size}" rx="${round1(size * 0.22)}"/>`;
+    case 'square': return xml`<rect x="${cx - half}" y="${cy - half}" width="${size}" height="${size}" rx="2"/>`;
+    case 'hexagon': {
+      const points = [0, 1, 2, 3, 4, 5].map(i => {
+        const angle = (i * 60 - 90) * Math.PI / 180;
+        return `${round1(cx + half * Math.cos(angle))},${round1(cy + half * Math.sin(angle))}`;
+      });
+      return xml`<polygon points="${points.join(' ')}"/>`;
+    }
+    default: return xml`<circle cx="${cx}" cy="${cy}" r="${half}"/>`;
+  }
+}
+
+// Anything else handed in as an avatar would be a live link in the card
+const AVATAR_DATA_URI = /^data:image\/(png|jpeg|gif);base64,[A-Za-z0-9+/=]+$/;
+
+// The avatar image (a data URI) clipped to the theme's shape, or the
+// login's initial when it couldn't be loaded
+function renderAvatar(dataUri, login, shape, cx, cy) {
+  const size = IDENTITY.AVATAR;
+  const outline = avatarShape(shape, cx, cy, size);
+  const picture = AVATAR_DATA_URI.test(dataUri ?? '')
+    ? xml`<image href="${dataUri}" x="${cx - size / 2}" y="${cy - size / 2}" width="${size}" height="${size}" preserveAspectRatio="xMidYMid slice" clip-path="url(#avatar-clip)"/>`
+    : xml`<g clip-path="url(#avatar-clip)" class="card-header">${outline}</g>
+      <text x="${cx}" y="${cy + 5}" class="text-mono text-primary" font-size="14" font-weight="700" text-anchor="middle">${String(login ?? '?').charAt(0).toUpperCase()}</text>`;
+  return xml`
+      <clipPath id="avatar-clip">${outline}</clipPath>
+      ${picture}
+      <g class="avatar-ring">${outline}</g>`;
+}
+
+// Glyph widths for fitting a stat row's label beside its value: Inter
+// averages about 4.5px a character at the labels' 9px, and JetBrains Mono
+// is 0.6em wide
+const STAT_ROW = { LABEL_CHAR: 4.5, VALUE_EM: 0.6 };
+
+// One icon, label and value row of a stats card, placed `y` from the card
+// top with the value ending at `valueX`. Numbers count up with `countUp`
+// (`format` holds its unit and suffix); anything else is shown as given.
+// Labels that would run into the value (translations are often longer than
+// the English) are cut short.
+function statRow(options, y, icon, label, value, valueX, format = {}) {
+  const { axis, locale } = options;
+  const shown = typeof value === 'number' ? `${locale.number(value, format.unit)}${format.suffix ?? ''}` : String(value);
+  const valueWidth = shown.length * (format.fontSize ?? 10) * STAT_ROW.VALUE_EM;
+  const room = Math.floor((valueX - 18 - valueWidth) / STAT_ROW.LABEL_CHAR);
+  const text = locale.t(label);
+  return xml`
+      <g transform="translate(${axis.x(10)}, ${y})">
+        <use href="#${icon}" x="${axis.local(0, 14)}" y="0" width="14" height="14" class="icon-secondary"/>
+        <text x="${axis.local(18)}" y="11" class="text-main text-secondary" font-size="9" text-anchor="${axis.anchor()}">${text.length > room ? truncateString(text, Math.max(1, room - 3)) : text}</text>
+        <text x="${axis.local(valueX)}" y="11" class="text-mono text-primary" font-size="${format.fontSize ?? 10}" text-anchor="${axis.anchor('end')}">${typeof value === 'number' ? countUp(value, axis.local(valueX), options, format) : value}</text>
+      </g>`;
+}
+
+// Placeholder line for a card with nothing to list
+function emptyNote(options, message) {
+  return xml`<text x="${options.axis.x(10)}" y="50" class="text-main text-secondary" font-size="9" text-anchor="${options.axis.anchor()}">${options.locale.t(message)}</text>`;
+}
+
+// Card registry: each card declares its footprint, the metrics it reads and
+// a renderer for its body. Object order is the default draw order. Titles
+// and labels are English message keys, translated with `options.locale`;
+// `options.axis` places things for the locale's reading direction.
+const cardRegistry = {
+  identity: {
+    title: 'Identity',
+    icon: 'icon-shield',
+    width: 120,
+    metrics: ['username', 'persona', 'rank', 'sponsorships', 'avatar', ...PROFILE_FIELDS],
+    // Grows with the avatar and the profile lines `show=` asks for
+    height: (metrics, options) => identityLayout(metrics, options).height,
+    render: (metrics, theme, options = {}) => {
+      const { axis, locale } = options;
+      const { avatarTop, lines } = identityLayout(metrics, options);
+      const body = xml`
+      <text x="${60}" y="55" class="text-mono text-accent" font-size="14" font-weight="700" text-anchor="middle">@${metrics.username}</text>
+      <text x="${60}" y="75" class="text-main text-secondary" font-size="10" text-anchor="middle">${locale.t(metrics.persona)}</text>
+      <text x="${60}" y="100" class="text-mono text-highlight" font-size="24" font-weight="700" text-anchor="middle">${metrics.rank.level}</text>
+      <text x="${60}" y="115" class="text-main text-secondary" font-size="9" text-anchor="middle">${locale.t(metrics.rank.title)}</text>
+      ${metrics.trends?.rankChange > 0 && xml`<polygon points="${axis.x(86)},98 ${axis.x(96)},98 ${axis.x(91)},89" class="text-accent"/>`}
+      ${metrics.trends?.rankChange < 0 && xml`<polygon points="${axis.x(86)},89 ${axis.x(96)},89 ${axis.x(91)},98" class="text-accent2"/>`}
+      ${metrics.sponsorships > 0 ? xml`<use href="#icon-heart" x="50" y="120" width="20" height="20" class="stroke-accent2"/>` : ''}
+    `;
+      if (avatarTop === 0 && lines.length === 0) return body;
+      return xml`
+      ${avatarTop > 0 && renderAvatar(options.avatar, metrics.username, theme.avatarShape, 60, 34 + IDENTITY.AVATAR / 2)}
+      <g transform="translate(0, ${avatarTop})">${body}</g>
+      ${lines.map((line, i) => xml`
+      <text x="60" y="${avatarTop + IDENTITY.BASE_HEIGHT + 4 + i * IDENTITY.LINE}" class="text-main ${line.field === 'pronouns' ? 'text-accent' : 'text-secondary'}" font-size="8" text-anchor="middle">${truncateString(line.text, 24)}</text>`)}
+    `;
+    }
+  },
+  streaks: {
+    title: 'Streaks',
+    icon: 'icon-flame',
+    width: 110,
+    height: 95,
+    metrics: ['currentStreak', 'longestStreak'],
+    render: (metrics, theme, options) => {
+      const { axis, locale } = options;
+      return xml`
+      <g transform="translate(${axis.x(10)}, 40)">
+        <use href="#icon-flame" x="${axis.local(0, 18)}" y="0" width="18" height="18" class="stroke-accent2"/>
+        <text x="${axis.local(24)}" y="14" class="text-main text-primary" font-size="10" text-anchor="${axis.anchor()}">${locale.t('Current')}</text>
+        <text x="${axis.local(90)}" y="14" class="text-mono text-accent2" font-size="12" font-weight="700" text-anchor="${axis.anchor('end')}">${countUp(metrics.currentStreak, axis.local(90), options, { unit: 'day' })}</text>
+      </g>
+      <g transform="translate(${axis.x(10)}, 65)">
+        <use href="#icon-trophy" x="${axis.local(0, 18)}" y="0" width="18" height="18" class="stroke-highlight"/>
+        <text x="${axis.local(24)}" y="14" class="text-main text-primary" font-size="10" text-anchor="${axis.anchor()}">${locale.t('Longest')}</text>
+        <text x="${axis.local(90)}" y="14" class="text-mono text-highlight" font-size="12" font-weight="700" text-anchor="${axis.anchor('end')}">${countUp(metrics.longestStreak, axis.local(90), options, { unit: 'day' })}</text>
+      </g>
+    `;
+    }
+  },
+  stats: {
+    title: 'Stats',
+    icon: 'icon-git-commit',
+    width: 115,
+    height: 155,
+    metrics: ['commits', 'prs', 'reviews', 'closedIssues', 'stars', 'forks'],
+    render: (metrics, theme, options) => {
+      const partial = { suffix: metrics.reposPartial ? '+' : '' };
+      return xml`
+      ${statRow(options, 40, 'icon-git-commit', 'Commits', metrics.commits, 95)}
+      ${statRow(options, 58, 'icon-git-pr', 'PRs Merged', metrics.prs, 95)}
+      ${statRow(options, 76, 'icon-eye', 'Reviews', metrics.reviews, 95)}
+      ${statRow(options, 94, 'icon-check-circle', 'Issues', metrics.closedIssues, 95)}
+      ${statRow(options, 112, 'icon-star', 'Stars', metrics.stars, 95, partial)}
+      ${statRow(options, 130, 'icon-git-fork', 'Forks', metrics.forks, 95, partial)}
+    `;
+    }
+  },
+  langs: {
+    title: 'Languages',
+    icon: 'icon-code',
+    width: 110,
+    height: 115,
+    metrics: ['topLanguages'],
+    render: (metrics, theme, options) => {
+      const { axis, locale } = options;
+      return metrics.topLanguages.length === 0
+        ? emptyNote(options, 'No languages found')
+        : xml`${metrics.topLanguages.map((lang, i) => xml`
+      <g transform="translate(${axis.x(10)}, ${40 + i * 22})">
+        <circle cx="${axis.local(6)}" cy="6" r="5" fill="${safeColor(lang.color)}" class="lang-dot" stroke-width="1"/>
+        <text x="${axis.local(16)}" y="10" class="text-main text-primary" font-size="9" text-anchor="${axis.anchor()}">${lang.name}</text>
+        <text x="${axis.local(95)}" y="10" class="text-mono text-secondary" font-size="8" text-anchor="${axis.anchor('end')}">${locale.number(lang.percent, 'percent')}</text>
+      </g>
+    `)}`;
+    }
+  },
+  repos: {
+    title: 'Top Repos',
+    icon: 'icon-book',
+    width: 115,
+    height: 105,
+    metrics: ['topRepos'],
+    render: (metrics, theme, options) => {
+      const { axis, locale } = options;
+      return metrics.topRepos.length === 0
+        ? emptyNote(options, 'No repos found')
+        : xml`${metrics.topRepos.map((repo, i) => xml`
+      <g transform="translate(${axis.x(10)}, ${40 + i * 22})">
+        <use href="#icon-book" x="${axis.local(0, 14)}" y="0" width="14" height="14" class="icon-secondary"/>
+        <text x="${axis.local(18)}" y="11" class="text-main text-primary" font-size="9" text-anchor="${axis.anchor()}">${truncateString(repo.name)}</text>
+        <use href="#icon-star" x="${axis.local(80, 12)}" y="0" width="12" height="12" class="stroke-accent2"/>
+        <text x="${axis.local(95)}" y="11" class="text-mono text-accent2" font-size="8" text-anchor="${axis.anchor()}">${locale.number(repo.stars)}</text>
+      </g>
+    `)}`;
+    }
+  },
+  social: {
+    title: 'Social',
+    icon: 'icon-users',
+    width: 100,
+    height: 100,
+    metrics: ['followers', 'discussions', 'gists'],
+    render: (metrics, theme, options) => xml`
+      ${statRow(options, 40, 'icon-users', 'Followers', metrics.followers, 85)}
+      ${statRow(options, 58, 'icon-chat', 'Discussions', metrics.discussions, 85)}
+      ${statRow(options, 76, 'icon-file', 'Gists', metrics.gists, 85)}
+    `
+  },
+  impact: {
+    title: 'Impact',
+    icon: 'icon-bolt',
+    width: 100,
+    height: 100,
+    metrics: ['impactScore'],
+    // Longer localized numbers ("30.6 ألف") shrink to stay inside the card
+    render: (metrics, theme, options) => xml`
+      <text x="50" y="65" class="text-mono text-accent" font-size="${Math.min(32, Math.floor(160 / options.locale.number(metrics.impactScore).length))}" font-weight="700" text-anchor="middle">${countUp(metrics.impactScore, 50, options)}</text>
+      <text x="50" y="85" class="text-main text-secondary" font-size="9" text-anchor="middle">${options.locale.t('Impact Score')}</text>
+    `
+  },
+  activity: {
+    title: 'Activity',
+    icon: 'icon-sun',
+    width: 100,
+    height: 85,
+    metrics: ['mostActiveDay', 'accountAge'],
+    render: (metrics, theme, options) => xml`
+      ${statRow(options, 40, 'icon-sun', 'Most Active', options.locale.weekday(metrics.mostActiveDay), 85, { fontSize: 9 })}
+      ${statRow(options, 58, 'icon-calendar', 'Account Age', options.locale.number(metrics.accountAge, 'year'), 85, { fontSize: 9 })}
+    `
+  },
+  // Only drawn once the snapshot store has history for the user
+  trends: {
+    title: 'Trends',
+    icon: 'icon-bolt',
+    width: 120,
+    height: 130,
+    metrics: ['trends'],
+    available: (metrics) => Boolean(metrics.trends),
+    render: (metrics, theme, options) => {
+      const { axis, locale } = options;
+      const { deltas, days, series } = metrics.trends;
+      const signed = (n) => `${n > 0 ? '+' : ''}${locale.number(n)}`;
+      const rows = [
+        { icon: 'icon-star', label: 'stars', value: deltas.stars },
+        { icon: 'icon-eye', label: 'reviews', value: deltas.reviews },
+        { icon: 'icon-users', label: 'followers', value: deltas.followers }
+      ];
+      return xml`${rows.map((row, i) => xml`
+      <g transform="translate(${axis.x(10)}, ${38 + i * 18})">
+        <use href="#${row.icon}" x="${axis.local(0, 14)}" y="0" width="14" height="14" class="icon-secondary"/>
+        <text x="${axis.local(18)}" y="11" class="text-mono ${row.value > 0 ? 'text-accent2' : 'text-secondary'}" font-size="10" font-weight="700" text-anchor="${axis.anchor()}">${signed(row.value)}</text>
+        <text x="${axis.local(100)}" y="11" class="text-main text-secondary" font-size="9" text-anchor="${axis.anchor('end')}">${locale.t(row.label)}</text>
+      </g>`)}
+      <g transform="translate(10, 94)">
+        ${renderSparkline(series.impactScore, 100, 18, Math.min(...series.impactScore))}
+      </g>
+      <text x="${axis.x(10)}" y="124" class="text-main text-secondary" font-size="8" text-anchor="${axis.anchor()}">${days >= 28
+        ? locale.t('Impact · this month')
+        : locale.t('Impact · last {days}', { days: locale.number(days, 'day') })}</text>
+    `;
+    }
+  },
+  heatmap: {
+    title: 'Contributions',
+    icon: 'icon-calendar',
+    width: 252,
+    height: 140,
+    metrics: ['contributionWeeks'],
+    optional: true,
+    render: (metrics, theme, options = {}) => {
+      const { axis, locale } = options;
+      const weeks = options.heatmapWeeks || HEATMAP.CARD_WEEKS;
+      const gap = weeks > 30 ? 1 : 2;
+      const cell = Math.max(2, Math.min(10, Math.floor((232 + gap) / weeks) - gap));
+      const gridWidth = weeks * (cell + gap) - gap;
+      const total = sumContributions(metrics.contributionWeeks, weeks);
+      return xml`
+      <g transform="translate(${(252 - gridWidth) / 2}, 38)">
+        ${renderHeatmapCells(metrics.contributionWeeks, weeks, options.heatmapScale, cell, gap)}
+      </g>
+      <text x="${axis.x(10)}" y="130" class="text-main text-secondary" font-size="9" text-anchor="${axis.anchor()}">${locale.t('{total} in {weeks}', { total: locale.number(total), weeks: locale.number(weeks, 'week') })}</text>
+    `;
+    }
+  }
+};
+
+// Cards for `org=` dashboards. Languages and top repos read the same metric
+// shapes as the user cards, so those renderers are shared.
+const orgCardRegistry = {
+  identity: {
+    title: 'Organization',
+    icon: 'icon-users',
+    width: 130,
+    height: 110,
+    metrics: ['org', 'name', 'memberCount'],
+    render: (metrics, theme, options) => xml`
+      <text x="65" y="58" class="text-main text-primary" font-size="13" font-weight="700" text-anchor="middle">${truncateString(metrics.name, 16)}</text>
+      <text x="65" y="75" class="text-mono text-accent" font-size="10" text-anchor="middle">@${truncateString(metrics.org, 16)}</text>
+      <text x="65" y="95" class="text-main text-secondary" font-size="9" text-anchor="middle">${options.locale.t('{included} of {total} members', {
+        included: options.locale.number(metrics.membersIncluded),
+        total: options.locale.number(metrics.memberCount)
+      })}</text>
+    `
+  },
+  totals: {
+    title: 'Team Totals',
+    icon: 'icon-git-commit',
+    width: 115,
+    height: 120,
+    metrics: ['commits', 'reviews', 'prs', 'stars'],
+    render: (metrics, theme, options) => xml`
+      ${statRow(options, 40, 'icon-git-commit', 'Commits', metrics.commits, 95)}
+      ${statRow(options, 58, 'icon-eye', 'Reviews', metrics.reviews, 95)}
+      ${statRow(options, 76, 'icon-git-pr', 'PRs Merged', metrics.prs, 95)}
+      ${statRow(options, 94, 'icon-star', 'Stars', metrics.stars, 95, { suffix: metrics.reposPartial ? '+' : '' })}
+    `
+  },
+  langs: cardRegistry.langs,
+  repos: cardRegistry.repos,
+  reviewers: {
+    title: 'Top Reviewers',
+    icon: 'icon-trophy',
+    width: 150,
+    height: 140,
+    metrics: ['leaderboard'],
+    render: (metrics, theme, options) => {
+      const { axis, locale } = options;
+      return metrics.leaderboard.length === 0
+        ? emptyNote(options, 'No members found')
+        : xml`${metrics.leaderboard.map((member, i) => xml`
+      <g transform="translate(${axis.x(10)}, ${40 + i * 19})">
+        <text x="${axis.local(0)}" y="11" class="text-mono text-secondary" font-size="9" text-anchor="${axis.anchor()}">${locale.number(i + 1)}</text>
+        <text x="${axis.local(14)}" y="11" class="text-main text-primary" font-size="9" text-anchor="${axis.anchor()}">${truncateString(member.login, 11)}</text>
+        <text x="${axis.local(92)}" y="11" class="text-mono text-highlight" font-size="9" font-weight="700" text-anchor="${axis.anchor('end')}">${member.rank.level}</text>
+        <text x="${axis.local(130)}" y="11" class="text-mono text-accent" font-size="9" text-anchor="${axis.anchor('end')}">${locale.number(member.impactScore)}</text>
+      </g>
+    `)}`;
+    }
+  }
+};
+
+// Cards for the `repo=` spotlight, drawn with the same floating-card look
+const repoCardRegistry = {
+  overview: {
+    title: 'Repository',
+    icon: 'icon-book',
+    width: 150,
+    height: 110,
+    metrics: ['name', 'owner', 'description', 'latestRelease'],
+    render: (metrics, theme, options) => {
+      const { axis, locale } = options;
+      return xml`
+      <text x="${axis.x(10)}" y="50" class="text-mono text-accent" font-size="12" font-weight="700" text-anchor="${axis.anchor()}">${truncateString(metrics.name, 18)}</text>
+      <text x="${axis.x(10)}" y="64" class="text-main text-secondary" font-size="9" text-anchor="${axis.anchor()}">${locale.t('by {owner}', { owner: truncateString(metrics.owner, 20) })}</text>
+      <text x="${axis.x(10)}" y="80" class="text-main text-primary" font-size="8" text-anchor="${axis.anchor()}">${truncateString(metrics.description, 28)}</text>
+      <text x="${axis.x(10)}" y="98" class="text-mono text-highlight" font-size="9" text-anchor="${axis.anchor()}">${metrics.latestRelease
+        ? `${truncateString(metrics.latestRelease.tag, 12)} · ${metrics.latestRelease.publishedAt?.slice(0, 10) ?? ''}`
+        : locale.t('No releases')}</text>
+    `;
+    }
+  },
+  stats: {
+    title: 'Stats',
+    icon: 'icon-star',
+    width: 115,
+    height: 135,
+    metrics: ['stars', 'forks', 'openIssues', 'closedIssues', 'mergedPrs'],
+    render: (metrics, theme, options) => xml`
+      ${statRow(options, 40, 'icon-star', 'Stars', metrics.stars, 95)}
+      ${statRow(options, 58, 'icon-git-fork', 'Forks', metrics.forks, 95)}
+      ${statRow(options, 76, 'icon-eye', 'Open Issues', options.locale.number(metrics.openIssues), 95)}
+      ${statRow(options, 94, 'icon-check-circle', 'Closed', metrics.closedIssues, 95)}
+      ${statRow(options, 112, 'icon-git-pr', 'PRs Merged', options.locale.number(metrics.mergedPrs), 95)}
+    `
+  },
+  langs: cardRegistry.langs,
+  contributors: {
+    title: 'Contributors',
+    icon: 'icon-users',
+    width: 125,
+    height: 105,
+    metrics: ['topContributors'],
+    render: (metrics, theme, options) => {
+      const { axis, locale } = options;
+      return metrics.topContributors.length === 0
+        ? emptyNote(options, 'No recent commits')
+        : xml`${metrics.topContributors.map((contributor, i) => xml`
+      <g transform="translate(${axis.x(10)}, ${40 + i * 20})">
+        <use href="#icon-git-commit" x="${axis.local(0, 14)}" y="0" width="14" height="14" class="icon-secondary"/>
+        <text x="${axis.local(18)}" y="11" class="text-main text-primary" font-size="9" text-anchor="${axis.anchor()}">${truncateString(contributor.login, 13)}</text>
+        <text x="${axis.local(105)}" y="11" class="text-mono text-accent2" font-size="9" text-anchor="${axis.anchor('end')}">${locale.number(contributor.commits)}</text>
+      </g>
+    `)}`;
+    }
+  },
+  activity: {
+    title: 'Commit Activity',
+    icon: 'icon-git-commit',
+    width: 160,
+    height: 100,
+    metrics: ['weeklyCommits', 'recentCommits'],
+    render: (metrics, theme, options) => {
+      const { axis, locale } = options;
+      return xml`
+      <g transform="translate(12, 40)">
+        ${renderSparkline(metrics.weeklyCommits, 136, 34)}
+      </g>
+      <text x="${axis.x(12)}" y="90" class="text-main text-secondary" font-size="9" text-anchor="${axis.anchor()}">${locale.t('{count} commits in {weeks}', {
+        count: locale.number(metrics.recentCommits),
+        weeks: locale.number(REPO_SPOTLIGHT.WEEKS, 'week')
+      })}</text>
+    `;
+    }
+  }
+};
+
+// Friendly names accepted by `cards=` / `hide=`
+const cardAliases = {
+  languages: 'langs',
+  'top-repos': 'repos',
+  top_repos: 'repos',
+  core: 'stats',
+  calendar: 'heatmap'
+};
+
+// Comma-separated query value as a trimmed, lower-cased list
+function parseListParam(value) {
+  return String(value ?? '')
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Resolve `cards=` (selection and order) and `hide=` into card ids.
+// `defaults` replaces the registry's default cards (a layout's own set).
+function resolveCardSelection(cardsParam, hideParam, registry = cardRegistry, defaults) {
+  const parseList = (value) => parseListParam(value).map(id => Object.hasOwn(cardAliases, id) ? cardAliases[id] : id);
+
+  const requested = parseList(cardsParam);
+  const hidden = parseList(hideParam);
+  const unknown = [...requested, ...hidden].find(id => !Object.hasOwn(registry, id));
+  if (unknown) throw new Error(`Unknown card: ${unknown}`);
+
+  const fallback = defaults ?? Object.keys(registry).filter(id => !registry[id].optional);
+  const selected = (requested.length > 0 ? requested : fallback)
+    .filter((id, i, ids) => ids.indexOf(id) === i && !hidden.includes(id));
+  if (selected.length === 0) throw new Error("No cards selected");
+  return selected;
+}
+
+// `options.registry` swaps in another card set (org dashboards),
+// `options.seed` the string the layout is seeded from,
+// `options.stickers: false` leaves out badge stickers,
+// `options.animate` adds entrance, count-up and idle motion, and
+// `options.show` / `options.avatar` pick the identity card's extras and
+// pass its avatar as a data URI, `options.layout` picks a LAYOUT_PRESETS
+// canvas and `options.width` scales the output
+function generateSVG(metrics, themeOrName = 'default', chaosLevel = 5, options = {}) {
+  const theme = themeFor(themeOrName);
+  const registry = options.registry || cardRegistry;
+  const random = seededRandom((options.seed ?? metrics.username) + chaosLevel);
+  const cuboid = cuboidGeometry(LAYOUT_PRESETS[options.layout ?? 'cuboid']);
+  const locale = options.locale ?? defaultLocale;
+  const canvas = axisFor(cuboid.width, locale.rtl);
+  // Cards that grow (the identity card) stop at the cuboid's height
+  const cardOptions = { ...options, locale, maxCardHeight: cuboid.bottom - cuboid.top - LAYOUT.PADDING * 2 };
+  
+  // Use system fonts with fallbacks for better SVG compatibility
+  const css = xml`
+    .bg { fill: url(#bgGradient); }
+    .text-main { font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif; }
+    .text-mono { font-family: 'JetBrains Mono', 'Courier New', monospace; }
+    .tier-gold { color: #e3b341; }
+    .tier-silver { color: #b1bac4; }
+    .tier-bronze { color: #c9824a; }
+    ${themeStyles(theme)}
   `;
 
-  // Activity card content
-  const activityContent = `
-    <g transform="translate(10, 40)">
-      <use href="#icon-sun" x="0" y="0" width="14" height="14" class="icon-secondary"/>
-      <text x="18" y="11" class="text-main text-secondary" font-size="9">Most Active</text>
-      <text x="85" y="11" class="text-mono text-primary" font-size="9" text-anchor="end">${metrics.mostActiveDay.substring(0, 3)}</text>
-    </g>
-    <g transform="translate(10, 58)">
-      <use href="#icon-calendar" x="0" y="0" width="14" height="14" class="icon-secondary"/>
-      <text x="18" y="11" class="text-main text-secondary" font-size="9">Account Age</text>
-      <text x="85" y="11" class="text-mono text-primary" font-size="9" text-anchor="end">${metrics.accountAge}y</text>
+  // Generate a floating card at the placement chosen by the layout engine
+  const generateFloatingCard = ({ x, y, rotation }, width, height, content, title, iconId) => {
+    const axis = axisFor(width, locale.rtl);
+    return xml`
+    <g transform="translate(${x}, ${y}) rotate(${rotation}, ${width/2}, ${height/2})">
+      <rect x="0" y="0" width="${width}" height="${height}" rx="8" class="card-glass"/>
+      <rect x="0" y="0" width="${width}" height="28" rx="8" class="card-header" opacity="0.5"/>
+      <rect x="0" y="14" width="${width}" height="14" class="card-header" opacity="0.5"/>
+      <use href="#${iconId}" x="${axis.x(8, 16)}" y="6" width="16" height="16" class="icon"/>
+      <text x="${axis.x(28)}" y="19" class="text-main text-primary" font-size="11" font-weight="600" text-anchor="${axis.anchor()}">${locale.t(title)}</text>
+      ${content}
     </g>
   `;
+  };
+
+  // Cards in draw order; later cards float above earlier ones. Cards whose
+  // data this request doesn't have (`available`) are left out.
+  const cards = (options.cards || Object.keys(registry).filter(id => !registry[id].optional))
+    .filter(id => registry[id].available?.(metrics) ?? true)
+    .map(id => {
+      const card = registry[id];
+      const height = typeof card.height === 'function' ? card.height(metrics, cardOptions) : card.height;
+      const content = card.render(metrics, theme, { ...cardOptions, axis: axisFor(card.width, locale.rtl) });
+      return { ...card, height, content };
+    });
+
+  // Cards shrink together when the selection doesn't fit the cuboid.
+  // Right-to-left locales get the mirror image, first card on the right.
+  const bounds = { left: cuboid.innerLeft, right: cuboid.innerRight, top: cuboid.top, bottom: cuboid.bottom };
+  const scale = fitScale(cards, bounds);
+  if (scale === null) throw new Error(`Too many cards for layout=${options.layout ?? 'cuboid'}; leave some out with hide=`);
+  const mirror = axisFor(cuboid.width / scale, locale.rtl);
+  const placements = layoutCards(cards, chaosLevel, random, scaleBounds(bounds, scale)).map((place, i) => locale.rtl
+    ? { ...place, x: round1(mirror.x(place.x, cards[i].width)), rotation: -place.rotation }
+    : place);
 
   // 3D Cuboid container paths (isometric projection)
-  const gridColWidth = (CUBOID.INNER_RIGHT - CUBOID.INNER_LEFT) / CUBOID.GRID_COLS;
-  const gridRowHeight = (CUBOID.BOTTOM - CUBOID.TOP) / CUBOID.GRID_ROWS;
+  const gridColWidth = (cuboid.innerRight - cuboid.innerLeft) / cuboid.gridCols;
+  const gridRowHeight = (cuboid.bottom - cuboid.top) / cuboid.gridRows;
   
-  const cuboidPaths = `
+  const cuboidPaths = xml`
     <!-- Back face -->
-    <path d="M ${CUBOID.INNER_LEFT} ${CUBOID.TOP} L ${CUBOID.INNER_RIGHT} ${CUBOID.TOP} L ${CUBOID.INNER_RIGHT} ${CUBOID.BOTTOM} L ${CUBOID.INNER_LEFT} ${CUBOID.BOTTOM} Z" class="cuboid-face"/>
+    <path d="M ${cuboid.innerLeft} ${cuboid.top} L ${cuboid.innerRight} ${cuboid.top} L ${cuboid.innerRight} ${cuboid.bottom} L ${cuboid.innerLeft} ${cuboid.bottom} Z" class="cuboid-face"/>
     <!-- Left face -->
-    <path d="M ${CUBOID.LEFT} ${CUBOID.TOP + CUBOID.DEPTH_OFFSET} L ${CUBOID.INNER_LEFT} ${CUBOID.TOP} L ${CUBOID.INNER_LEFT} ${CUBOID.BOTTOM} L ${CUBOID.LEFT} ${CUBOID.BOTTOM + CUBOID.DEPTH_OFFSET} Z" class="cuboid-face"/>
+    <path d="M ${cuboid.left} ${cuboid.top + cuboid.depthOffset} L ${cuboid.innerLeft} ${cuboid.top} L ${cuboid.innerLeft} ${cuboid.bottom} L ${cuboid.left} ${cuboid.bottom + cuboid.depthOffset} Z" class="cuboid-face"/>
     <!-- Bottom face -->
-    <path d="M ${CUBOID.LEFT} ${CUBOID.BOTTOM + CUBOID.DEPTH_OFFSET} L ${CUBOID.INNER_LEFT} ${CUBOID.BOTTOM} L ${CUBOID.INNER_RIGHT} ${CUBOID.BOTTOM} L ${CUBOID.RIGHT} ${CUBOID.BOTTOM + CUBOID.DEPTH_OFFSET} Z" class="cuboid-face"/>
+    <path d="M ${cuboid.left} ${cuboid.bottom + cuboid.depthOffset} L ${cuboid.innerLeft} ${cuboid.bottom} L ${cuboid.innerRight} ${cuboid.bottom} L ${cuboid.right} ${cuboid.bottom + cuboid.depthOffset} Z" class="cuboid-face"/>
     <!-- Right face -->
-    <path d="M ${CUBOID.INNER_RIGHT} ${CUBOID.TOP} L ${CUBOID.RIGHT} ${CUBOID.TOP + CUBOID.DEPTH_OFFSET} L ${CUBOID.RIGHT} ${CUBOID.BOTTOM + CUBOID.DEPTH_OFFSET} L ${CUBOID.INNER_RIGHT} ${CUBOID.BOTTOM} Z" class="cuboid-face"/>
+    <path d="M ${cuboid.innerRight} ${cuboid.top} L ${cuboid.right} ${cuboid.top + cuboid.depthOffset} L ${cuboid.right} ${cuboid.bottom + cuboid.depthOffset} L ${cuboid.innerRight} ${cuboid.bottom} Z" class="cuboid-face"/>
     <!-- Top face -->
-    <path d="M ${CUBOID.LEFT} ${CUBOID.TOP + CUBOID.DEPTH_OFFSET} L ${CUBOID.INNER_LEFT} ${CUBOID.TOP} L ${CUBOID.INNER_RIGHT} ${CUBOID.TOP} L ${CUBOID.RIGHT} ${CUBOID.TOP + CUBOID.DEPTH_OFFSET} Z" class="cuboid-face"/>
+    <path d="M ${cuboid.left} ${cuboid.top + cuboid.depthOffset} L ${cuboid.innerLeft} ${cuboid.top} L ${cuboid.innerRight} ${cuboid.top} L ${cuboid.right} ${cuboid.top + cuboid.depthOffset} Z" class="cuboid-face"/>
     
     <!-- Grid pattern on back face -->
-    ${Array.from({length: CUBOID.GRID_COLS}, (_, i) => `<line x1="${CUBOID.INNER_LEFT + i * gridColWidth}" y1="${CUBOID.TOP}" x2="${CUBOID.INNER_LEFT + i * gridColWidth}" y2="${CUBOID.BOTTOM}" class="grid-line"/>`).join('')}
-    ${Array.from({length: CUBOID.GRID_ROWS}, (_, i) => `<line x1="${CUBOID.INNER_LEFT}" y1="${CUBOID.TOP + i * gridRowHeight}" x2="${CUBOID.INNER_RIGHT}" y2="${CUBOID.TOP + i * gridRowHeight}" class="grid-line"/>`).join('')}
+    ${Array.from({length: cuboid.gridCols}, (_, i) => xml`<line x1="${cuboid.innerLeft + i * gridColWidth}" y1="${cuboid.top}" x2="${cuboid.innerLeft + i * gridColWidth}" y2="${cuboid.bottom}" class="grid-line"/>`)}
+    ${Array.from({length: cuboid.gridRows}, (_, i) => xml`<line x1="${cuboid.innerLeft}" y1="${cuboid.top + i * gridRowHeight}" x2="${cuboid.innerRight}" y2="${cuboid.top + i * gridRowHeight}" class="grid-line"/>`)}
     
     <!-- Edges (glass highlight effect) -->
-    <path d="M ${CUBOID.LEFT} ${CUBOID.TOP + CUBOID.DEPTH_OFFSET} L ${CUBOID.INNER_LEFT} ${CUBOID.TOP} L ${CUBOID.INNER_RIGHT} ${CUBOID.TOP} L ${CUBOID.RIGHT} ${CUBOID.TOP + CUBOID.DEPTH_OFFSET}" class="cuboid-edge" stroke-opacity="0.6"/>
-    <path d="M ${CUBOID.LEFT} ${CUBOID.TOP + CUBOID.DEPTH_OFFSET} L ${CUBOID.LEFT} ${CUBOID.BOTTOM + CUBOID.DEPTH_OFFSET} L ${CUBOID.INNER_LEFT} ${CUBOID.BOTTOM}" class="cuboid-edge" stroke-opacity="0.4"/>
-    <path d="M ${CUBOID.RIGHT} ${CUBOID.TOP + CUBOID.DEPTH_OFFSET} L ${CUBOID.RIGHT} ${CUBOID.BOTTOM + CUBOID.DEPTH_OFFSET} L ${CUBOID.INNER_RIGHT} ${CUBOID.BOTTOM}" class="cuboid-edge" stroke-opacity="0.4"/>
-    <path d="M ${CUBOID.LEFT} ${CUBOID.BOTTOM + CUBOID.DEPTH_OFFSET} L ${CUBOID.RIGHT} ${CUBOID.BOTTOM + CUBOID.DEPTH_OFFSET}" class="cuboid-edge" stroke-opacity="0.3"/>
+    <path d="M ${cuboid.left} ${cuboid.top + cuboid.depthOffset} L ${cuboid.innerLeft} ${cuboid.top} L ${cuboid.innerRight} ${cuboid.top} L ${cuboid.right} ${cuboid.top + cuboid.depthOffset}" class="cuboid-edge" stroke-opacity="0.6"/>
+    <path d="M ${cuboid.left} ${cuboid.top + cuboid.depthOffset} L ${cuboid.left} ${cuboid.bottom + cuboid.depthOffset} L ${cuboid.innerLeft} ${cuboid.bottom}" class="cuboid-edge" stroke-opacity="0.4"/>
+    <path d="M ${cuboid.right} ${cuboid.top + cuboid.depthOffset} L ${cuboid.right} ${cuboid.bottom + cuboid.depthOffset} L ${cuboid.innerRight} ${cuboid.bottom}" class="cuboid-edge" stroke-opacity="0.4"/>
+    <path d="M ${cuboid.left} ${cuboid.bottom + cuboid.depthOffset} L ${cuboid.right} ${cuboid.bottom + cuboid.depthOffset}" class="cuboid-edge" stroke-opacity="0.3"/>
   `;
 
-  return `<svg width="900" height="450" viewBox="0 0 900 450" xmlns="http://www.w3.org/2000/svg">
+  return xml`<svg ${canvasAttributes(cuboid.width, cuboid.height, options.width)} xmlns="http://www.w3.org/2000/svg">
   <defs>
     <style>${css}</style>
-    <linearGradient id="bgGradient" x1="0%" y1="0%" x2="100%" y2="100%">
-      <stop offset="0%" style="stop-color:${theme.bgGradient[0]}"/>
-      <stop offset="100%" style="stop-color:${theme.bgGradient[1]}"/>
-    </linearGradient>
+    ${backgroundGradient}
     <filter id="glow">
       <feGaussianBlur stdDeviation="1" result="coloredBlur"/>
       <feMerge>
@@ -680,6 +2585,7 @@ function generateSVG(metrics, themeName = 'default', chaosLevel = 5) {
       </feMerge>
     </filter>
     ${iconDefs}
+    ${options.animate && xml`<style>${animationStyles(cards.length, chaosLevel, seededRandom(`${options.seed ?? metrics.username}:animate`))}</style>`}
   </defs>
 
   <!-- Background -->
@@ -689,57 +2595,465 @@ function generateSVG(metrics, themeName = 'default', chaosLevel = 5) {
   ${cuboidPaths}
   
   <!-- Floating Cards Inside Container -->
+  <g${scale < 1 && xml` transform="scale(${scale})"`}>
+  ${cards.map((card, i) => {
+    const floating = generateFloatingCard(placements[i], card.width, card.height, card.content, card.title, card.icon);
+    return xml`
+  <!-- ${card.title} Card -->
+  ${options.animate ? xml`<g class="enter-${i}"><g class="wobble-${i}">${floating}</g></g>` : floating}`;
+  })}
+  </g>
+
+  <!-- private=true marker, above the back face -->
+  ${metrics.includesPrivate && privateMarker(cuboid.width / 2, Math.max(18, cuboid.top - 12), locale)}
+
+  <!-- Badge stickers -->
+  ${options.stickers !== false && metrics.badges?.length > 0 && (options.animate
+    ? xml`<g class="stickers">${renderStickers(metrics.badges, chaosLevel, random, cuboid, locale)}</g>`
+    : renderStickers(metrics.badges, chaosLevel, random, cuboid, locale))}
   
-  <!-- Identity Card -->
-  ${generateFloatingCard(115, 95, 120, 140, -2, identityContent, 'Identity', 'icon-shield')}
-  
-  <!-- Streaks Card -->
-  ${generateFloatingCard(250, 100, 110, 95, 3, streaksContent, 'Streaks', 'icon-flame')}
-  
-  <!-- Core Stats Card -->
-  ${generateFloatingCard(375, 90, 115, 155, -1, coreStatsContent, 'Stats', 'icon-git-commit')}
-  
-  <!-- Languages Card -->
-  ${generateFloatingCard(115, 250, 110, 115, 4, languagesContent, 'Languages', 'icon-code')}
-  
-  <!-- Top Repos Card -->
-  ${generateFloatingCard(240, 210, 115, 105, -3, reposContent, 'Top Repos', 'icon-book')}
-  
-  <!-- Social Card -->
-  ${generateFloatingCard(370, 260, 100, 100, 2, socialContent, 'Social', 'icon-users')}
-  
-  <!-- Impact Score Card -->
-  ${generateFloatingCard(505, 95, 100, 100, -4, impactContent, 'Impact', 'icon-bolt')}
-  
-  <!-- Activity Card -->
-  ${generateFloatingCard(505, 210, 100, 85, 3, activityContent, 'Activity', 'icon-sun')}
-  
+  <!-- Time window (range=) -->
+  ${metrics.range && xml`<text x="${canvas.x(cuboid.innerLeft)}" y="${cuboid.bottom + 50}" class="text-mono text-secondary" font-size="10" opacity="0.7" text-anchor="${canvas.anchor()}">${locale.t(metrics.range.label)}</text>`}
   <!-- Title watermark -->
-  <text x="750" y="420" class="text-mono text-secondary" font-size="10" opacity="0.5">Chaos Contained</text>
+  <text x="${canvas.x(cuboid.width - 150)}" y="${cuboid.bottom + 50}" class="text-mono text-secondary" font-size="10" opacity="0.5" text-anchor="${canvas.anchor()}">Chaos Contained</text>
   
-</svg>`;
+</svg>`.toString();
+}
+
+// Standalone wide calendar for people who only want the heatmap. The
+// calendar itself reads left to right in every locale, like GitHub's.
+function generateHeatmapSVG(metrics, themeOrName = 'default', options = {}) {
+  const theme = themeFor(themeOrName);
+  const locale = options.locale ?? defaultLocale;
+  const weeks = options.heatmapWeeks || HEATMAP.MAX_WEEKS;
+  const recent = metrics.contributionWeeks.slice(-weeks);
+  const cell = 13;
+  const gap = 3;
+  const gridWidth = recent.length * (cell + gap) - gap;
+  const width = Math.max(400, gridWidth + 80);
+  const total = sumContributions(metrics.contributionWeeks, weeks);
+  const header = axisFor(width, locale.rtl);
+  const summary = locale.t('{total} contributions in {weeks} weeks', { total: locale.number(total), weeks: locale.number(recent.length) });
+
+  // Month label above the first week of each month, skipping labels that would collide
+  let lastLabelCol = -Infinity;
+  const monthLabels = recent.map((week, col) => {
+    const month = new Date(week[0].date).getUTCMonth();
+    const previous = col > 0 ? new Date(recent[col - 1][0].date).getUTCMonth() : -1;
+    if (month === previous || col - lastLabelCol < 3) return '';
+    lastLabelCol = col;
+    return xml`<text x="${col * (cell + gap)}" y="-6" class="text-secondary" font-family="Inter, sans-serif" font-size="9">${locale.month(month)}</text>`;
+  });
+
+  const legend = [0, 1, 2, 3, 4].map(level => {
+    const fill = level === 0
+      ? xml`class="heat-empty" fill-opacity="0.35"`
+      : xml`class="heat-on" fill-opacity="${HEATMAP.LEVEL_OPACITY[level - 1]}"`;
+    return xml`<rect x="${30 + level * (cell + gap)}" y="0" width="${cell}" height="${cell}" rx="2" ${fill}/>`;
+  });
+
+  return xml`<svg ${canvasAttributes(width, 200, options.width)} xmlns="http://www.w3.org/2000/svg">
+  <defs>
+    <style>${themeStyles(theme)}</style>
+    ${backgroundGradient}
+    ${iconDefs}
+  </defs>
+  <rect width="100%" height="100%" rx="8" fill="url(#bgGradient)" class="frame"/>
+  <use href="#icon-calendar" x="${header.x(40, 16)}" y="14" width="16" height="16" class="icon-accent"/>
+  <text x="${header.x(62)}" y="27" text-anchor="${header.anchor()}" class="text-primary" font-family="Inter, sans-serif" font-size="12" font-weight="600">@${metrics.username}</text>
+  <text x="${header.x(width - 40)}" y="27" text-anchor="${header.anchor('end')}" class="text-secondary" font-family="JetBrains Mono, monospace" font-size="10">${summary}${metrics.range ? ` · ${locale.t(metrics.range.label)}` : ''}</text>
+  <g transform="translate(${(width - gridWidth) / 2}, 58)">
+    ${monthLabels}
+    ${renderHeatmapCells(metrics.contributionWeeks, weeks, options.heatmapScale, cell, gap)}
+  </g>
+  <g transform="translate(${width - 40 - 30 - 5 * (cell + gap) - 28}, 180)">
+    <text x="0" y="10" class="text-secondary" font-family="Inter, sans-serif" font-size="9">${locale.t('Less')}</text>
+    ${legend}
+    <text x="${30 + 5 * (cell + gap)}" y="10" class="text-secondary" font-family="Inter, sans-serif" font-size="9">${locale.t('More')}</text>
+  </g>
+  ${metrics.includesPrivate && privateMarker(header.x(40), 190, locale, 'start')}
+</svg>`.toString();
+}
+
+// Comparison card limits
+const COMPARE = {
+  MIN_USERS: 2,
+  MAX_USERS: 4
+};
+
+// Rows of the comparison card. Rows with a `value` crown whoever has the
+// highest; `unit` is the Intl unit it is shown in.
+const compareRows = [
+  { id: 'impactScore', label: 'Impact', value: m => m.impactScore },
+  { id: 'rank', label: 'Rank', text: (m, locale) => `${m.rank.level} · ${locale.t(m.rank.title)}` },
+  { id: 'persona', label: 'Persona', text: (m, locale) => locale.t(m.persona) },
+  { id: 'currentStreak', label: 'Current streak', value: m => m.currentStreak, unit: 'day' },
+  { id: 'longestStreak', label: 'Longest streak', value: m => m.longestStreak, unit: 'day' }
+];
+
+// Logins with the best value per scored row; nobody wins a row where everyone has 0
+function compareWinners(entries) {
+  const loaded = entries.filter(entry => entry.metrics);
+  return Object.fromEntries(compareRows.filter(row => row.value).map(row => {
+    const best = Math.max(0, ...loaded.map(entry => row.value(entry.metrics)));
+    return [row.id, best > 0 ? loaded.filter(entry => row.value(entry.metrics) === best).map(entry => entry.login) : []];
+  }));
+}
+
+// Versus card: one column per user, with a placeholder column for users
+// that could not be loaded. `options.width` scales it and `options.locale`
+// translates and (right to left) mirrors it, like the other cards.
+function generateCompareSVG(entries, themeOrName = 'default', chaosLevel = 5, options = {}) {
+  const theme = themeFor(themeOrName);
+  const locale = options.locale ?? defaultLocale;
+  const canvas = axisFor(900, locale.rtl);
+  const random = seededRandom(entries.map(entry => entry.login).join(',') + chaosLevel);
+  const winners = compareWinners(entries);
+  const rangeLabel = entries.find(entry => entry.metrics?.range)?.metrics.range.label;
+  const labelWidth = 130;
+  const gap = 16;
+  const colWidth = Math.floor((900 - 40 - labelWidth - gap * (entries.length - 1)) / entries.length);
+  const cardTop = 60;
+  const rowY = (i) => 58 + i * 30;
+  const langY = rowY(compareRows.length) + 4;
+  const cardHeight = langY + 3 * 16 + 6;
+  const height = cardTop + cardHeight + 40;
+
+  const axis = axisFor(colWidth, locale.rtl);
+  const column = (entry) => {
+    if (!entry.metrics) {
+      return xml`
+      <text x="${colWidth / 2}" y="${cardHeight / 2}" class="text-main text-secondary" font-size="11" text-anchor="middle">${entry.error}</text>`;
+    }
+    const rows = compareRows.map((row, i) => {
+      const won = winners[row.id]?.includes(entry.login);
+      const text = row.value ? locale.number(row.value(entry.metrics), row.unit) : truncateString(row.text(entry.metrics, locale), 22);
+      return xml`
+      <text x="${colWidth / 2}" y="${rowY(i)}" class="${row.id === 'impactScore' ? 'text-mono' : 'text-main'} ${won ? 'text-highlight' : 'text-primary'}" font-size="${row.id === 'impactScore' ? 16 : 10}" font-weight="${won ? 700 : 400}" text-anchor="middle">${text}</text>
+      ${won && xml`<use href="#icon-trophy" x="${axis.x(colWidth - 24, 12)}" y="${rowY(i) - 11}" width="12" height="12" class="stroke-highlight"/>`}`;
+    });
+    const langs = entry.metrics.topLanguages.slice(0, 3).map((lang, i) => xml`
+      <circle cx="${axis.x(16)}" cy="${langY + i * 16 - 3}" r="4" fill="${safeColor(lang.color)}" class="lang-dot" stroke-width="1"/>
+      <text x="${axis.x(26)}" y="${langY + i * 16}" class="text-main text-primary" font-size="9" text-anchor="${axis.anchor()}">${truncateString(lang.name, 16)}</text>
+      <text x="${axis.x(colWidth - 12)}" y="${langY + i * 16}" class="text-mono text-secondary" font-size="8" text-anchor="${axis.anchor('end')}">${locale.number(lang.percent, 'percent')}</text>`);
+    return xml`${rows}${langs}`;
+  };
+
+  const columns = entries.map((entry, i) => {
+    const x = canvas.x(20 + labelWidth + i * (colWidth + gap), colWidth);
+    const rotation = round1((random() - 0.5) * chaosLevel * 0.6) * (locale.rtl ? -1 : 1);
+    return xml`
+    <g transform="translate(${x}, ${cardTop}) rotate(${rotation}, ${colWidth / 2}, ${cardHeight / 2})">
+      <rect x="0" y="0" width="${colWidth}" height="${cardHeight}" rx="8" class="card-glass"/>
+      <rect x="0" y="0" width="${colWidth}" height="28" rx="8" class="card-header" opacity="0.5"/>
+      <rect x="0" y="14" width="${colWidth}" height="14" class="card-header" opacity="0.5"/>
+      <text x="${colWidth / 2}" y="19" class="text-mono text-accent" font-size="11" font-weight="700" text-anchor="middle">@${truncateString(entry.login, 18)}</text>
+      ${column(entry)}
+    </g>`;
+  });
+
+  const labels = [...compareRows.map(row => row.label), 'Top languages'].map((label, i) => xml`
+    <text x="${canvas.x(20)}" y="${cardTop + (i < compareRows.length ? rowY(i) : langY)}" class="text-main text-secondary" font-size="10" text-anchor="${canvas.anchor()}">${locale.t(label)}</text>`);
+
+  return xml`<svg ${canvasAttributes(900, height, options.width)} xmlns="http://www.w3.org/2000/svg">
+  <defs>
+    <style>
+    .text-main { font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif; }
+    .text-mono { font-family: 'JetBrains Mono', 'Courier New', monospace; }
+    ${themeStyles(theme)}
+    </style>
+    ${backgroundGradient}
+    <filter id="glow">
+      <feGaussianBlur stdDeviation="1" result="coloredBlur"/>
+      <feMerge>
+        <feMergeNode in="coloredBlur"/>
+        <feMergeNode in="SourceGraphic"/>
+      </feMerge>
+    </filter>
+    ${iconDefs}
+  </defs>
+  <rect width="100%" height="100%" fill="url(#bgGradient)"/>
+  <text x="${canvas.x(20)}" y="36" class="text-main text-primary" font-size="16" font-weight="700" text-anchor="${canvas.anchor()}">${locale.t('Head to Head')}</text>
+  ${rangeLabel && xml`<text x="${canvas.x(880)}" y="36" class="text-mono text-secondary" font-size="10" text-anchor="${canvas.anchor('end')}">${locale.t(rangeLabel)}</text>`}
+  ${labels}
+  ${columns}
+  <text x="${canvas.x(750)}" y="${height - 14}" class="text-mono text-secondary" font-size="10" opacity="0.5" text-anchor="${canvas.anchor()}">Chaos Contained</text>
+</svg>`.toString();
 }
 
-// Generate error SVG
-function generateErrorSVG(message, theme = themes.default) {
-  return `<svg width="900" height="450" viewBox="0 0 900 450" xmlns="http://www.w3.org/2000/svg">
+// Generate error SVG. Only the heading is translated: messages name
+// parameters and values, which stay as typed.
+function generateErrorSVG(message, theme = themes.default, locale = defaultLocale) {
+  return xml`<svg width="900" height="450" viewBox="0 0 900 450" xmlns="http://www.w3.org/2000/svg">
   <defs>
-    <linearGradient id="bgGradient" x1="0%" y1="0%" x2="100%" y2="100%">
-      <stop offset="0%" style="stop-color:${theme.bgGradient[0]}"/>
-      <stop offset="100%" style="stop-color:${theme.bgGradient[1]}"/>
-    </linearGradient>
+    <style>${themeStyles(theme)}</style>
+    ${backgroundGradient}
     ${iconDefs}
   </defs>
-  <rect width="100%" height="100%" fill="${theme.bg}"/>
+  <rect width="100%" height="100%" class="bg-solid"/>
   <g transform="translate(450, 200)">
-    <use href="#icon-shield" x="-30" y="-60" width="60" height="60" stroke="${theme.accent2}" fill="none" stroke-width="2"/>
-    <text x="0" y="20" text-anchor="middle" fill="${theme.textPrimary}" font-family="Inter, sans-serif" font-size="18" font-weight="600">Error</text>
-    <text x="0" y="50" text-anchor="middle" fill="${theme.textSecondary}" font-family="JetBrains Mono, monospace" font-size="12">${message}</text>
+    <use href="#icon-shield" x="-30" y="-60" width="60" height="60" class="stroke-accent2" fill="none" stroke-width="2"/>
+    <text x="0" y="20" text-anchor="middle" class="text-primary" font-family="Inter, sans-serif" font-size="18" font-weight="600">${locale.t('Error')}</text>
+    <text x="0" y="50" text-anchor="middle" class="text-secondary" font-family="JetBrains Mono, monospace" font-size="12">${message}</text>
   </g>
-  <text x="750" y="420" fill="${theme.textSecondary}" font-family="JetBrains Mono, monospace" font-size="10" opacity="0.5">Chaos Contained</text>
-</svg>`;
+  <text x="750" y="420" class="text-secondary" font-family="JetBrains Mono, monospace" font-size="10" opacity="0.5">Chaos Contained</text>
+</svg>`.toString();
 }
 
+// Metrics as served by the JSON route
+function buildMetricsPayload(metrics, profile) {
+  return {
+    username: metrics.username,
+    metrics,
+    score: {
+      profile: profile.name,
+      total: metrics.impactScore,
+      weights: profile.weights,
+      breakdown: metrics.scoreBreakdown
+    },
+    rank: metrics.rank
+  };
+}
+
+const OUTPUT_FORMATS = ['svg', 'json', 'png', 'webp'];
+
+let responseCache;
+
+// Shared cache of GitHub responses, built once from the config's `cache`
+// section with CACHE_BACKEND / CACHE_DIR / REDIS_URL env overrides.
+// Backend "none" turns it off.
+function getResponseCache(config) {
+  if (responseCache !== undefined) return responseCache;
+  const options = { ...config?.cache };
+  if (process.env.CACHE_BACKEND) options.backend = process.env.CACHE_BACKEND;
+  if (process.env.CACHE_DIR) options.dir = process.env.CACHE_DIR;
+  if (process.env.REDIS_URL) options.url = process.env.REDIS_URL;
+  options.backend ??= 'memory';
+  responseCache = options.backend === 'none' ? null : createCache(options);
+  return responseCache;
+}
+
+let avatarLoader;
+
+// Avatar downloads go through one loader per instance. setAvatarLoader swaps
+// in another (tests stub its HTTP layer with createAvatarLoader({ fetch })).
+function getAvatarLoader() {
+  avatarLoader ??= createAvatarLoader();
+  return avatarLoader;
+}
+
+function setAvatarLoader(loader) {
+  avatarLoader = loader;
+}
+
+// Avatar data URI, cached alongside GitHub responses; null if it can't be
+// loaded, in which case the card falls back to the login's initial
+async function loadAvatar(cache, url) {
+  if (!url) return null;
+  try {
+    return (await readThrough(cache, `avatar:${url}`, () => getAvatarLoader().load(url))).value;
+  } catch (error) {
+    console.error(`Avatar ${url} could not be loaded:`, error.message);
+    return null;
+  }
+}
+
+let snapshotStore;
+
+// Daily snapshot store from the config's `snapshots` section with
+// SNAPSHOT_BACKEND / SNAPSHOT_PATH env overrides. Off ("none") by default.
+function getSnapshotStore(config) {
+  if (snapshotStore !== undefined) return snapshotStore;
+  const options = { ...config?.snapshots };
+  if (process.env.SNAPSHOT_BACKEND) options.backend = process.env.SNAPSHOT_BACKEND;
+  if (process.env.SNAPSHOT_PATH) options.path = process.env.SNAPSHOT_PATH;
+  options.backend ??= 'none';
+  snapshotStore = options.backend === 'none' ? null : createSnapshotStore(options);
+  return snapshotStore;
+}
+
+// Logins allowed to use `private=true`: the config's
+// `privateContributions.users`, or the PRIVATE_USERS env list. Empty (off)
+// by default.
+function privateContributors(config) {
+  return parseListParam(process.env.PRIVATE_USERS ?? [config?.privateContributions?.users ?? []].flat().join(','));
+}
+
+// Record today's snapshot for a user card and attach trends from the stored
+// history. A failing store only costs the trends, never the card.
+async function attachTrends(store, metrics, profile) {
+  const today = snapshotDate();
+  try {
+    await store.record(metrics.username, snapshotOf(metrics, today));
+    const history = await store.history(metrics.username, snapshotDate(new Date(), TRENDS.DAYS));
+    metrics.trends = computeTrends(history, metrics, profile, today);
+  } catch (error) {
+    console.error(`Snapshot store failed (${store.name}):`, error.message);
+  }
+}
+
+// Read through the response cache, or straight to GitHub when caching is off
+async function readThrough(cache, key, fetcher) {
+  return cache ? cache.fetch(key, fetcher) : { value: await fetcher(), status: 'bypass' };
+}
+
+// One user's GitHub data. Cards and org dashboards share the cache key, so
+// a dashboard warms its members' own cards and vice versa.
+function fetchUserCached(cache, pool, login, repoOptions, range) {
+  return readThrough(cache, `user:${login.toLowerCase()}:${repoQueryKey(repoOptions)}:${range?.key ?? 'default'}`,
+    () => fetchGitHubData(pool, login, repoOptions, range));
+}
+
+// Org dashboard metrics (null if the organization doesn't exist) and the
+// cache status of the org lookup. Members come from `members=` or the org's
+// member list and are fetched ORG_DASHBOARD.MEMBER_CONCURRENCY at a time;
+// members that fail to load are skipped and listed in membersMissing.
+async function buildOrgDashboard(cache, pool, orgLogin, memberLogins, { repoOptions, range, profile, metricOptions }) {
+  const { value: data, status } = await readThrough(cache, `org:${orgLogin.toLowerCase()}:${repoQueryKey(repoOptions)}`,
+    () => fetchOrganizationData(pool, orgLogin, repoOptions));
+  const org = data?.organization;
+  if (!org) return { dashboard: null, status };
+
+  // Members are scored on their own repositories, not the org's again
+  const memberRepoOptions = { ...repoOptions, includeOrgs: false };
+  const logins = memberLogins.length > 0 ? memberLogins : (org.membersWithRole?.nodes ?? []).map(member => member.login);
+  const results = await mapWithConcurrency(logins, ORG_DASHBOARD.MEMBER_CONCURRENCY, async login => {
+    try {
+      const { value } = await fetchUserCached(cache, pool, login, memberRepoOptions, range);
+      return value?.user ? mapMetrics(value.user, profile, { ...metricOptions, range }) : null;
+    } catch (error) {
+      console.error(`Org member ${login} could not be loaded:`, error.message);
+      return null;
+    }
+  });
+
+  const dashboard = mapOrgMetrics(org, results.filter(Boolean), {
+    ...metricOptions,
+    range,
+    profileName: profile.name,
+    memberCount: memberLogins.length > 0 ? memberLogins.length : undefined,
+    membersMissing: logins.filter((login, i) => !results[i])
+  });
+  return { dashboard, status };
+}
+
+// Every compared user, fetched in parallel. A user that is missing or fails
+// to load becomes a placeholder entry instead of failing the whole card.
+async function buildComparison(cache, pool, logins, { repoOptions, range, profile, metricOptions }) {
+  return Promise.all(logins.map(async login => {
+    try {
+      const { value, status } = await fetchUserCached(cache, pool, login, repoOptions, range);
+      if (!value?.user) return { login, error: 'User not found', status };
+      return { login: value.user.login, metrics: mapMetrics(value.user, profile, { ...metricOptions, range }), status };
+    } catch (error) {
+      console.error(`Compared user ${login} could not be loaded:`, error.message);
+      return { login, error: 'Could not be loaded', status: 'error' };
+    }
+  }));
+}
+
+// `users=` for the compare route: distinct logins within COMPARE's limits
+function parseCompareUsers(value) {
+  const logins = parseListParam(value).filter((login, i, all) => all.indexOf(login) === i);
+  if (logins.length < COMPARE.MIN_USERS) throw new Error(`users= needs at least ${COMPARE.MIN_USERS} logins`);
+  if (logins.length > COMPARE.MAX_USERS) throw new Error(`users= is limited to ${COMPARE.MAX_USERS} logins`);
+  return logins;
+}
+
+// PNG and WebP embed only Latin fonts, so other scripts would come out as
+// empty boxes
+function assertRasterLocale(format, locale) {
+  if ((format === 'png' || format === 'webp') && !locale.latin) {
+    throw new Error(`format=${format} can't draw ${locale.tag} text, since only Latin fonts are embedded; use format=svg`);
+  }
+}
+
+// Vercel passes a repeated parameter (`?a=1&a=2`) as an array. Every
+// parameter takes one value, so those are refused rather than guessed at.
+function singleValueQuery(query) {
+  const repeated = Object.keys(query).find(key => typeof query[key] !== 'string');
+  if (repeated) throw new Error(`Parameter ${repeated} must be given only once`);
+  return query;
+}
+
+// Turn an SVG into the requested output format, rasterizing in-process for png/webp
+async function renderImage(svg, format) {
+  if (format === 'png' || format === 'webp') {
+    const { rasterize, RASTER_FORMATS } = await import('../lib/raster.js');
+    return { body: await rasterize(svg, format), contentType: RASTER_FORMATS[format] };
+  }
+  return { body: svg, contentType: "image/svg+xml" };
+}
+
+function matchesETag(req, etag) {
+  const header = req.headers?.['if-none-match'];
+  if (!header) return false;
+  return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === etag || tag === '*');
+}
+
+// Successful response with an ETag; a matching If-None-Match gets a bodiless 304
+function sendCacheable(req, res, body, contentType) {
+  const etag = `"${createHash('sha1').update(body).digest('base64url')}"`;
+  res.setHeader("ETag", etag);
+  res.setHeader("Cache-Control", "public, max-age=14400, s-maxage=14400");
+  if (matchesETag(req, etag)) return res.status(304).end();
+  res.setHeader("Content-Type", contentType);
+  return res.status(200).send(body);
+}
+
+// Error response in the requested format (image card or JSON body)
+async function sendError(res, status, message, theme, format = 'svg', locale = defaultLocale) {
+  res.setHeader("Cache-Control", "no-cache");
+  if (format === 'json') {
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    return res.status(status).send(JSON.stringify({ error: message }));
+  }
+  const svg = generateErrorSVG(message, theme, locale);
+  let image;
+  try {
+    image = await renderImage(svg, format);
+  } catch (error) {
+    console.error(error);
+    image = await renderImage(svg, 'svg');
+  }
+  res.setHeader("Content-Type", image.contentType);
+  return res.status(status).send(image.body);
+}
+
+// Building blocks shared with the command line renderer (bin/chaotic-container.js)
+export {
+  assertRasterLocale,
+  buildMetricsPayload,
+  cardRegistry,
+  fetchGitHubData,
+  generateCompareSVG,
+  generateErrorSVG,
+  generateHeatmapSVG,
+  generateSVG,
+  getAvatarLoader,
+  LAYOUT_PRESETS,
+  loadAvatar,
+  loadConfig,
+  loadCustomThemes,
+  mapMetrics,
+  mapOrgMetrics,
+  mapRepoMetrics,
+  orgCardRegistry,
+  parseLayout,
+  parseListParam,
+  parseOutputWidth,
+  parseRange,
+  parseShowParam,
+  parseTimeZone,
+  renderImage,
+  repoCardRegistry,
+  repoQueryOptions,
+  resolveCardSelection,
+  resolveScoringProfile,
+  resolveTheme,
+  setAvatarLoader
+};
+
 export default async function handler(req, res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET");
@@ -748,47 +3062,250 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  const token = process.env.GH_TOKEN;
-  const username = req.query?.username;
-  const themeName = req.query?.theme || 'default';
-  const chaosLevel = Math.min(10, Math.max(0, parseInt(req.query?.chaos) || 5));
+  const pathname = new URL(req.url || '/', 'http://localhost').pathname;
+  const route = pathname.replace(/\/+$/, '').split('/').pop();
+  const jsonRoute = ['metrics', 'status', 'history'].includes(route);
+
+  // Error: Repeated parameter (?format=png&format=svg)
+  let query;
+  try {
+    query = singleValueQuery(req.query ?? {});
+  } catch (error) {
+    return sendError(res, 400, error.message, themes.default, jsonRoute ? 'json' : 'svg');
+  }
+
+  const format = jsonRoute ? 'json' : (query.format || 'svg').toLowerCase();
+  const pool = getTokenPool();
+  const username = query.username;
+  const orgLogin = query.org;
+  const repoParam = query.repo;
+  const themeName = query.theme || 'default';
+  const cardsParam = query.cards;
+  const hideParam = query.hide;
+  const profileName = query.profile;
+  const weightsParam = query.weights;
+  const stickers = query.badges !== 'false';
+  const animate = query.animate === 'true';
+  const includePrivate = query.private === 'true';
+  const metricOptions = {
+    includePrivate,
+    langsBy: query.langs_by === 'bytes' ? 'bytes' : 'repos',
+    excludeLangs: parseListParam(query.exclude_langs),
+    excludeRepos: parseListParam(query.exclude_repos)
+  };
+  const repoOptions = repoQueryOptions({
+    langsBy: metricOptions.langsBy,
+    includeForks: query.include_forks === 'true',
+    includeOrgs: query.include_orgs === 'true',
+    includePrivate
+  });
+  const parsedWeeks = parseInt(query.heatmap_weeks);
+  const heatmapWeeks = Number.isNaN(parsedWeeks) ? undefined : Math.min(HEATMAP.MAX_WEEKS, Math.max(1, parsedWeeks));
+  const heatmapScale = HEATMAP.SCALES.includes(query.heatmap_scale) ? query.heatmap_scale : 'quartile';
+  const parsedChaos = parseInt(query.chaos);
+  const chaosLevel = Math.min(10, Math.max(0, Number.isNaN(parsedChaos) ? 5 : parsedChaos));
   
-  const theme = themes[themeName] || themes.default;
+  // Preset theme for early errors; query overrides and team themes are applied once the config is loaded
+  let theme = Object.hasOwn(themes, themeName) ? themes[themeName] : themes.default;
+  // Likewise English until locale= is validated with the other parameters
+  let locale = defaultLocale;
 
-  // Error: Missing GH_TOKEN
-  if (!token) {
-    res.setHeader("Content-Type", "image/svg+xml");
-    res.setHeader("Cache-Control", "no-cache");
-    return res.status(500).send(generateErrorSVG("Server missing GH_TOKEN environment variable", theme));
+  // Error: Unknown output format
+  if (!OUTPUT_FORMATS.includes(format)) {
+    return sendError(res, 400, `Unsupported format: ${format}`, theme, 'svg', locale);
   }
 
-  // Error: Missing username
-  if (!username) {
-    res.setHeader("Content-Type", "image/svg+xml");
+  // Token pool, cache and snapshot store health
+  if (route === 'status') {
+    let cacheBackend;
+    let snapshotBackend;
+    try {
+      const config = await loadConfig();
+      cacheBackend = getResponseCache(config)?.backend ?? 'none';
+      snapshotBackend = getSnapshotStore(config)?.name ?? 'none';
+    } catch (error) {
+      cacheBackend = snapshotBackend = `unavailable: ${error.message}`;
+    }
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
     res.setHeader("Cache-Control", "no-cache");
-    return res.status(400).send(generateErrorSVG("Missing required parameter: username", theme));
+    return res.status(200).send(JSON.stringify({ tokens: pool.health(), cache: cacheBackend, snapshots: snapshotBackend }));
+  }
+
+  // Stored daily snapshots for one user; needs no GitHub token
+  if (route === 'history') {
+    let store;
+    try {
+      store = getSnapshotStore(await loadConfig());
+    } catch (error) {
+      console.error(error);
+      return sendError(res, 500, "Server config could not be loaded", theme, format, locale);
+    }
+    if (!store) return sendError(res, 404, "Snapshot history is not enabled on this server", theme, format, locale);
+    if (!username) return sendError(res, 400, "Missing required parameter: username", theme, format, locale);
+    if (!isLogin(username)) return sendError(res, 400, `Invalid username: ${username}`, theme, format, locale);
+    try {
+      const snapshots = await store.history(username);
+      return sendCacheable(req, res, JSON.stringify({ username: username.toLowerCase(), snapshots }), "application/json; charset=utf-8");
+    } catch (error) {
+      console.error(error);
+      return sendError(res, 500, "Snapshot history could not be read", theme, format, locale);
+    }
+  }
+
+  // Error: Missing GH_TOKEN
+  if (pool.size === 0) {
+    return sendError(res, 500, "Server missing GH_TOKEN environment variable", theme, format, locale);
+  }
+
+  // Error: Missing username (or org / repo)
+  const subjects = [username, orgLogin, repoParam].filter(Boolean).length;
+  if (route !== 'compare' && subjects === 0) {
+    return sendError(res, 400, "Missing required parameter: username", theme, format, locale);
+  }
+  if (subjects > 1) {
+    return sendError(res, 400, "Use only one of username, org or repo", theme, format, locale);
+  }
+
+  // Error: Unreadable server config
+  let config;
+  let cache;
+  let snapshots;
+  let customThemes;
+  try {
+    config = await loadConfig();
+    cache = getResponseCache(config);
+    snapshots = getSnapshotStore(config);
+    customThemes = await loadCustomThemes();
+  } catch (error) {
+    console.error(error);
+    return sendError(res, 500, "Server config could not be loaded", theme, format, locale);
+  }
+
+  // Error: Unknown or bad theme, time zone, locale, layout, card selection, show= fields, scoring options, range, logins or org members
+  let layout;
+  let outputWidth;
+  let cardIds;
+  let profile;
+  let range;
+  let memberLogins;
+  let compareLogins;
+  let show;
+  try {
+    theme = resolveTheme(query, customThemes);
+    metricOptions.timeZone = parseTimeZone(query.tz);
+    show = parseShowParam(query.show);
+    range = parseRange(query.range);
+    // Checked before it's used, so this error card is still readable
+    const requestedLocale = createLocale(query.locale);
+    assertRasterLocale(format, requestedLocale);
+    locale = requestedLocale;
+    layout = parseLayout(query.layout);
+    outputWidth = parseOutputWidth(query.width);
+    // A layout's own card set only applies to user cards
+    cardIds = repoParam || orgLogin
+      ? resolveCardSelection(cardsParam, hideParam, repoParam ? repoCardRegistry : orgCardRegistry)
+      : resolveCardSelection(cardsParam, hideParam, cardRegistry, LAYOUT_PRESETS[layout]?.cards);
+    profile = resolveScoringProfile(config, profileName, weightsParam);
+    memberLogins = parseListParam(query.members);
+    if (memberLogins.length > ORG_DASHBOARD.MAX_MEMBERS) {
+      throw new Error(`members= is limited to ${ORG_DASHBOARD.MAX_MEMBERS} logins`);
+    }
+    if ((orgLogin || repoParam) && layout === 'heatmap') throw new Error("layout=heatmap is only available for user cards");
+    if (repoParam && !/^[\w.-]+\/[\w.-]+$/.test(repoParam)) throw new Error("repo= must look like owner/name");
+    if (includePrivate && (!username || route === 'compare')) throw new Error("private=true is only available for user cards");
+    if (route === 'compare' && query.layout) throw new Error("layout= is not available for /api/compare");
+    if (route === 'compare') compareLogins = parseCompareUsers(query.users);
+    // Logins end up in search strings, where spaces or qualifiers would change the search
+    if (username && !isLogin(username)) throw new Error(`Invalid username: ${username}`);
+    const badLogin = [orgLogin, ...memberLogins, ...(compareLogins ?? [])].find(login => login && !isLogin(login));
+    if (badLogin) throw new Error(`Invalid login: ${badLogin}`);
+
+    // Error: Private contributions not enabled for this user
+    if (includePrivate && !privateContributors(config).includes(username.toLowerCase())) {
+      return sendError(res, 403, `Private contributions are not enabled for ${username} on this server`, theme, format, locale);
+    }
+  } catch (error) {
+    return sendError(res, 400, error.message, theme, format, locale);
   }
 
   try {
-    const data = await fetchGitHubData(token, username);
+    if (compareLogins) {
+      const entries = await buildComparison(cache, pool, compareLogins, { repoOptions, range, profile, metricOptions });
+      res.setHeader("X-Cache", entries.map(entry => entry.status).join(', '));
+      if (!entries.some(entry => entry.metrics)) {
+        return sendError(res, 404, `Users not found: ${compareLogins.join(', ')}`, theme, format, locale);
+      }
+      if (format === 'json') {
+        const users = entries.map(entry => entry.metrics
+          ? { username: entry.login, metrics: entry.metrics }
+          : { username: entry.login, error: entry.error });
+        return sendCacheable(req, res, JSON.stringify({ users, winners: compareWinners(entries) }), "application/json; charset=utf-8");
+      }
+      const image = await renderImage(generateCompareSVG(entries, theme, chaosLevel, { width: outputWidth, locale }), format);
+      return sendCacheable(req, res, image.body, image.contentType);
+    }
+
+    if (repoParam) {
+      const [owner, name] = repoParam.split('/');
+      const { value: data, status } = await readThrough(cache, `repo:${repoParam.toLowerCase()}`,
+        () => fetchRepositoryData(pool, owner, name));
+      res.setHeader("X-Cache", status);
+      if (!data?.repository) {
+        return sendError(res, 404, `Repository not found: ${repoParam}`, theme, format, locale);
+      }
+      const metrics = mapRepoMetrics(data.repository, metricOptions);
+      if (format === 'json') {
+        return sendCacheable(req, res, JSON.stringify({ repo: metrics.repo, metrics }), "application/json; charset=utf-8");
+      }
+      const svg = generateSVG(metrics, theme, chaosLevel, { registry: repoCardRegistry, cards: cardIds, seed: metrics.repo, animate, layout, width: outputWidth, locale });
+      const image = await renderImage(svg, format);
+      return sendCacheable(req, res, image.body, image.contentType);
+    }
+
+    if (orgLogin) {
+      const { dashboard, status } = await buildOrgDashboard(cache, pool, orgLogin, memberLogins, { repoOptions, range, profile, metricOptions });
+      res.setHeader("X-Cache", status);
+      if (!dashboard) {
+        return sendError(res, 404, `Organization not found: ${orgLogin}`, theme, format, locale);
+      }
+      if (format === 'json') {
+        return sendCacheable(req, res, JSON.stringify({ org: dashboard.org, metrics: dashboard }), "application/json; charset=utf-8");
+      }
+      const svg = generateSVG(dashboard, theme, chaosLevel, { registry: orgCardRegistry, cards: cardIds, seed: dashboard.org, animate, layout, width: outputWidth, locale });
+      const image = await renderImage(svg, format);
+      return sendCacheable(req, res, image.body, image.contentType);
+    }
+
+    const { value: data, status: cacheStatus } = await fetchUserCached(cache, pool, username, repoOptions, range);
+    res.setHeader("X-Cache", cacheStatus);
     
     if (!data?.user) {
-      res.setHeader("Content-Type", "image/svg+xml");
-      res.setHeader("Cache-Control", "no-cache");
-      return res.status(404).send(generateErrorSVG(`User not found: ${username}`, theme));
+      return sendError(res, 404, `User not found: ${username}`, theme, format, locale);
     }
 
-    const metrics = mapMetrics(data.user);
-    const svg = generateSVG(metrics, themeName, chaosLevel);
+    const metrics = mapMetrics(data.user, profile, { ...metricOptions, range });
 
-    res.setHeader("Content-Type", "image/svg+xml");
-    res.setHeader("Cache-Control", "public, max-age=14400, s-maxage=14400");
-    res.status(200).send(svg);
+    // Snapshots only track the default card data: a range, repository
+    // filter or private counts would record (and compare) different numbers
+    const defaultData = !range && !includePrivate && repoOptions.isFork === false && !repoOptions.includeOrgs && metricOptions.excludeRepos.length === 0;
+    if (snapshots && defaultData) await attachTrends(snapshots, metrics, profile);
+
+    if (format === 'json') {
+      return sendCacheable(req, res, JSON.stringify(buildMetricsPayload(metrics, profile)), "application/json; charset=utf-8");
+    }
+
+    const avatar = layout !== 'heatmap' && cardIds.includes('identity') && show.includes('avatar')
+      ? await loadAvatar(cache, metrics.avatar)
+      : null;
+    const svg = layout === 'heatmap'
+      ? generateHeatmapSVG(metrics, theme, { heatmapWeeks, heatmapScale, width: outputWidth, locale })
+      : generateSVG(metrics, theme, chaosLevel, { cards: cardIds, heatmapWeeks, heatmapScale, stickers, animate, show, avatar, layout, width: outputWidth, locale });
+
+    const image = await renderImage(svg, format);
+    sendCacheable(req, res, image.body, image.contentType);
 
   } catch (error) {
     console.error(error);
-    res.setHeader("Content-Type", "image/svg+xml");
-    res.setHeader("Cache-Control", "no-cache");
-    res.status(500).send(generateErrorSVG(`API Error: ${error.message.substring(0, 50)}`, theme));
+    await sendError(res, 500, `API Error: ${error.message.substring(0, 50)}`, theme, format, locale);
   }
 }
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+// Render a card to a file without the hosted endpoint, e.g. from a scheduled
+// GitHub Action. Uses the same fetch, metrics and render code as api/index.js.
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { createLocale } from '../lib/i18n.js';
+import { isLogin } from '../lib/snapshots.js';
+import { createTokenPool, readTokensFromEnv } from '../lib/tokens.js';
+import {
+  assertRasterLocale,
+  buildMetricsPayload,
+  fetchGitHubData,
+  generateHeatmapSVG,
+  generateSVG,
+  LAYOUT_PRESETS,
+  loadAvatar,
+  loadConfig,
+  loadCustomThemes,
+  mapMetrics,
+  parseLayout,
+  parseListParam,
+  parseOutputWidth,
+  parseRange,
+  parseShowParam,
+  parseTimeZone,
+  renderImage,
+  repoQueryOptions,
+  resolveCardSelection,
+  resolveScoringProfile,
+  resolveTheme
+} from '../api/index.js';
+
+const FORMATS = ['svg', 'png', 'webp', 'json'];
+
+const USAGE = `Usage: chaotic-container --user <login> [options]
+       chaotic-container --from-json <file> [options]
+
+  -u, --user <login>      GitHub user to render (needs GH_TOKEN or GITHUB_TOKEN)
+      --from-json <file>  Render a saved GitHub response instead of fetching
+      --save-json <file>  Also save the fetched GitHub response for --from-json
+  -t, --theme <name>      Theme name, "auto" or "light:X,dark:Y" (default: default)
+  -c, --chaos <0-10>      Chaos level (default: 5)
+  -f, --format <format>   svg, png, webp or json (default: svg)
+  -o, --output <file>     Output file, or - for stdout (default: <login>.<format>)
+      --cards <list>      Cards to show, in draw order
+      --hide <list>       Cards to leave out
+      --layout <name>     cuboid, compact, wide, vertical, banner or heatmap
+      --width <px>        Scale the image to this width
+      --profile <name>    Scoring profile
+      --weights <list>    Impact weight overrides, e.g. reviews:10,stars:0.5
+      --langs-by <mode>   repos or bytes (default: repos)
+      --exclude-langs <list>
+                          Languages to leave out of the language stats
+      --exclude-repos <list>
+                          Repos to leave out of stars, forks, top repos and languages
+      --include-forks     Count your forks too
+      --include-orgs      Count public repos of your organizations too
+      --range <range>     Time window: 30d, 90d, 1y, a year or all
+      --tz <zone>         Time zone for time-of-day badges (default: UTC)
+      --locale <tag>      Card language: en, de, es, fr, pt, ja or ar (default: en)
+      --show <list>       Identity card extras: avatar, pronouns, bio, company,
+                          location, status or none (default: avatar)
+      --private           Count private and restricted contributions (the token's
+                          view; the card is marked and never names private repos)
+      --no-badges         Leave out the badge stickers
+      --animate           Add entrance and idle animation (SVG only)
+  -h, --help              Show this help
+`;
+
+const OPTIONS = {
+  user: { type: 'string', short: 'u' },
+  'from-json': { type: 'string' },
+  'save-json': { type: 'string' },
+  theme: { type: 'string', short: 't', default: 'default' },
+  chaos: { type: 'string', short: 'c', default: '5' },
+  format: { type: 'string', short: 'f', default: 'svg' },
+  output: { type: 'string', short: 'o' },
+  cards: { type: 'string' },
+  hide: { type: 'string' },
+  layout: { type: 'string' },
+  width: { type: 'string' },
+  profile: { type: 'string' },
+  weights: { type: 'string' },
+  'langs-by': { type: 'string', default: 'repos' },
+  'exclude-langs': { type: 'string' },
+  'exclude-repos': { type: 'string' },
+  'include-forks': { type: 'boolean', default: false },
+  'include-orgs': { type: 'boolean', default: false },
+  range: { type: 'string' },
+  tz: { type: 'string' },
+  locale: { type: 'string' },
+  show: { type: 'string' },
+  private: { type: 'boolean', default: false },
+  'no-badges': { type: 'boolean', default: false },
+  animate: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+// GitHub data to render: a saved response (a raw GraphQL body with `data`,
+// or the `{ user }` object fetchGitHubData returns) or a fresh fetch
+async function loadGitHubData(args, range, repoOptions) {
+  if (args['from-json']) {
+    const saved = JSON.parse(await readFile(args['from-json'], 'utf8'));
+    return saved?.data ?? saved;
+  }
+  // GITHUB_TOKEN is what Actions provides; GH_TOKEN and GH_TOKEN_N win if set
+  const tokens = readTokensFromEnv();
+  const pool = createTokenPool(tokens.length > 0 ? tokens : readTokensFromEnv({ GH_TOKEN: process.env.GITHUB_TOKEN }));
+  if (pool.size === 0) throw new Error("Set GH_TOKEN or GITHUB_TOKEN to fetch from GitHub");
+  const data = await fetchGitHubData(pool, args.user, repoOptions, range);
+  if (args['save-json']) await writeFile(args['save-json'], JSON.stringify(data, null, 2));
+  return data;
+}
+
+async function main() {
+  const { values: args } = parseArgs({ options: OPTIONS, strict: true });
+  if (args.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (!args.user && !args['from-json']) throw new Error("Pass --user <login> or --from-json <file> (see --help)");
+  if (args.user && !isLogin(args.user)) throw new Error(`Invalid username: ${args.user}`);
+
+  const format = args.format.toLowerCase();
+  if (!FORMATS.includes(format)) throw new Error(`Unsupported format: ${args.format}`);
+  const chaos = Number(args.chaos);
+  if (!Number.isInteger(chaos) || chaos < 0 || chaos > 10) throw new Error("--chaos must be a whole number from 0 to 10");
+  const layout = parseLayout(args.layout);
+  const width = parseOutputWidth(args.width);
+  const locale = createLocale(args.locale);
+  assertRasterLocale(format, locale);
+  const langsBy = args['langs-by'].toLowerCase();
+  if (langsBy !== 'repos' && langsBy !== 'bytes') throw new Error("--langs-by must be repos or bytes");
+
+  const config = await loadConfig();
+  const theme = resolveTheme({ theme: args.theme }, await loadCustomThemes());
+  const profile = resolveScoringProfile(config, args.profile, args.weights);
+  const cards = resolveCardSelection(args.cards, args.hide, undefined, LAYOUT_PRESETS[layout]?.cards);
+  const range = parseRange(args.range);
+  const timeZone = parseTimeZone(args.tz);
+  const show = parseShowParam(args.show);
+
+  const metricOptions = {
+    includePrivate: args.private,
+    langsBy,
+    excludeLangs: parseListParam(args['exclude-langs']),
+    excludeRepos: parseListParam(args['exclude-repos'])
+  };
+  const repoOptions = repoQueryOptions({
+    langsBy,
+    includeForks: args['include-forks'],
+    includeOrgs: args['include-orgs'],
+    includePrivate: args.private
+  });
+
+  const data = await loadGitHubData(args, range, repoOptions);
+  if (!data?.user) throw new Error(`User not found: ${args.user ?? args['from-json']}`);
+  const metrics = mapMetrics(data.user, profile, { ...metricOptions, range, timeZone });
+
+  let body;
+  if (format === 'json') {
+    body = JSON.stringify(buildMetricsPayload(metrics, profile), null, 2);
+  } else {
+    // A saved response renders offline, so its avatar falls back to the initial
+    const avatar = !args['from-json'] && layout !== 'heatmap' && cards.includes('identity') && show.includes('avatar')
+      ? await loadAvatar(null, metrics.avatar)
+      : null;
+    const svg = layout === 'heatmap'
+      ? generateHeatmapSVG(metrics, theme, { width, locale })
+      : generateSVG(metrics, theme, chaos, { cards, stickers: !args['no-badges'], animate: args.animate, show, avatar, layout, width, locale });
+    body = (await renderImage(svg, format)).body;
+  }
+
+  const output = args.output ?? `${metrics.username}.${format}`;
+  if (output === '-') {
+    process.stdout.write(body);
+  } else {
+    await writeFile(output, body);
+    console.error(`Wrote ${output}`);
+  }
+}
+
+main().catch(error => {
+  console.error(`chaotic-container: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,35 @@
+import { fetch } from 'undici';
+
+// Profile pictures inlined as data URIs. GitHub's image proxy serves cards
+// as <img>, where an SVG can't load external images, so the server has to
+// download the avatar and embed it.
+
+const AVATAR_TYPES = ['image/png', 'image/jpeg', 'image/gif'];
+// Only GitHub's avatar hosts; the URL comes from an API response, but the
+// server shouldn't become a proxy for anything else
+const AVATAR_HOSTS = /(^|\.)githubusercontent\.com$/;
+
+// `fetch` is the HTTP layer, injectable so tests can stub it. `size` is the
+// pixel size requested from GitHub (the card shows it at 36px, so 2x for retina).
+export function createAvatarLoader({ fetch: httpFetch = fetch, size = 72, timeout = 3000, maxBytes = 100 * 1024 } = {}) {
+  return {
+    async load(url) {
+      const target = new URL(url);
+      if (target.protocol !== 'https:' || !AVATAR_HOSTS.test(target.hostname)) {
+        throw new Error(`Avatar host not allowed: ${target.hostname}`);
+      }
+      target.searchParams.set('s', String(size));
+
+      const response = await httpFetch(target, {
+        headers: { 'User-Agent': 'chaotic-container' },
+        signal: AbortSignal.timeout(timeout)
+      });
+      if (!response.ok) throw new Error(`Avatar request failed with ${response.status}`);
+      const type = (response.headers.get('content-type') ?? '').split(';')[0].trim().toLowerCase();
+      if (!AVATAR_TYPES.includes(type)) throw new Error(`Unsupported avatar type: ${type || 'none'}`);
+      const bytes = Buffer.from(await response.arrayBuffer());
+      if (bytes.length > maxBytes) throw new Error(`Avatar larger than ${maxBytes} bytes`);
+      return `data:${type};base64,${bytes.toString('base64')}`;
+    }
+  };
+}
@@ -0,0 +1,154 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import os from 'node:os';
+import path from 'node:path';
+
+// Cache entries are stored as { value, storedAt } so freshness is decided by
+// the reader; `maxAge` (seconds) only tells a backend when it may evict.
+
+// In-memory LRU: a Map keeps insertion order, so re-inserting on read moves
+// a key to the back and the first key is always the least recently used
+export function createMemoryBackend({ maxEntries = 500 } = {}) {
+  const entries = new Map();
+  return {
+    name: 'memory',
+    async get(key) {
+      const hit = entries.get(key);
+      if (!hit) return undefined;
+      if (hit.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, hit);
+      return hit.entry;
+    },
+    async set(key, entry, maxAge) {
+      entries.delete(key);
+      entries.set(key, { entry, expiresAt: Date.now() + maxAge * 1000 });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    }
+  };
+}
+
+// One JSON file per key, written via rename so readers never see half a file
+export function createFileBackend({ dir = path.join(os.tmpdir(), 'chaotic-container-cache') } = {}) {
+  const fileFor = (key) => path.join(dir, createHash('sha1').update(key).digest('hex') + '.json');
+  return {
+    name: 'fs',
+    async get(key) {
+      let stored;
+      try {
+        stored = JSON.parse(await readFile(fileFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT' || error instanceof SyntaxError) return undefined;
+        throw error;
+      }
+      return stored.expiresAt > Date.now() ? stored.entry : undefined;
+    },
+    async set(key, entry, maxAge) {
+      await mkdir(dir, { recursive: true });
+      const file = fileFor(key);
+      const temp = `${file}.${process.pid}.tmp`;
+      await writeFile(temp, JSON.stringify({ entry, expiresAt: Date.now() + maxAge * 1000 }));
+      await rename(temp, file);
+    }
+  };
+}
+
+// Any Redis-protocol server (Redis, Valkey, KeyDB, Dragonfly...). ioredis is
+// an optional dependency, only loaded when this backend is configured.
+export function createRedisBackend({ url, prefix = 'chaotic:' } = {}) {
+  if (!url) throw new Error("Redis cache backend needs a url (REDIS_URL)");
+  let clientPromise;
+  const client = () => {
+    clientPromise ??= import('ioredis')
+      .catch(() => { throw new Error("Redis cache backend needs the ioredis package installed"); })
+      .then(({ default: Redis }) => {
+        const redis = new Redis(url, { maxRetriesPerRequest: 1, connectTimeout: 2000 });
+        // Failed commands are already logged by the cache; keep reconnect noise quiet
+        redis.on('error', () => {});
+        return redis;
+      });
+    return clientPromise;
+  };
+  return {
+    name: 'redis',
+    async get(key) {
+      const raw = await (await client()).get(prefix + key);
+      return raw ? JSON.parse(raw) : undefined;
+    },
+    async set(key, entry, maxAge) {
+      await (await client()).set(prefix + key, JSON.stringify(entry), 'EX', Math.max(1, Math.ceil(maxAge)));
+    }
+  };
+}
+
+export function createBackend(options = {}) {
+  switch (options.backend) {
+    case 'memory': return createMemoryBackend(options);
+    case 'fs': return createFileBackend(options);
+    case 'redis': return createRedisBackend(options);
+    default: throw new Error(`Unknown cache backend: ${options.backend}`);
+  }
+}
+
+// Read-through cache with stale-while-revalidate and stale-if-error.
+//   fresh  (age < ttl)                        -> served from cache ("hit")
+//   stale  (age < ttl + staleWhileRevalidate) -> served, refreshed in the background ("stale")
+//   older or missing                          -> fetched ("miss"); if that throws and an entry
+//                                                younger than ttl + staleIfError exists, it is
+//                                                served instead ("stale-error")
+// Backend failures never fail a request; they just behave like a miss.
+export function createCache({ ttl = 14400, staleWhileRevalidate = 3600, staleIfError = 86400, ...options } = {}) {
+  const backend = createBackend(options);
+  const maxAge = ttl + Math.max(staleWhileRevalidate, staleIfError);
+  const inFlight = new Map();
+
+  const safeGet = (key) => backend.get(key).catch(error => {
+    console.error(`Cache read failed (${backend.name}):`, error.message);
+    return undefined;
+  });
+
+  // Concurrent requests for the same key share one upstream fetch
+  const refresh = (key, fetcher) => {
+    if (!inFlight.has(key)) {
+      const pending = Promise.resolve()
+        .then(fetcher)
+        .then(async value => {
+          await backend.set(key, { value, storedAt: Date.now() }, maxAge).catch(error => {
+            console.error(`Cache write failed (${backend.name}):`, error.message);
+          });
+          return value;
+        })
+        .finally(() => inFlight.delete(key));
+      inFlight.set(key, pending);
+    }
+    return inFlight.get(key);
+  };
+
+  return {
+    backend: backend.name,
+    async fetch(key, fetcher) {
+      const entry = await safeGet(key);
+      const age = entry ? (Date.now() - entry.storedAt) / 1000 : Infinity;
+
+      if (age < ttl) return { value: entry.value, status: 'hit', age };
+
+      if (age < ttl + staleWhileRevalidate) {
+        refresh(key, fetcher).catch(error => console.error(`Background refresh failed for ${key}:`, error.message));
+        return { value: entry.value, status: 'stale', age };
+      }
+
+      try {
+        return { value: await refresh(key, fetcher), status: 'miss', age: 0 };
+      } catch (error) {
+        if (age < ttl + staleIfError) {
+          console.error(`Serving stale ${key} after upstream error:`, error.message);
+          return { value: entry.value, status: 'stale-error', age };
+        }
+        throw error;
+      }
+    }
+  };
+}
@@ -0,0 +1,608 @@
+// Card text for `locale=`. Messages are keyed by their English text, so a
+// string without a translation (a custom rank title, say) stays in English.
+// `{name}` placeholders are filled in by t(). Numbers, units, weekdays and
+// months come from Intl rather than the catalogs.
+
+const CATALOGS = {
+  de: {
+    'Identity': 'Identität',
+    'Streaks': 'Serien',
+    'Stats': 'Statistik',
+    'Languages': 'Sprachen',
+    'Top Repos': 'Top-Repos',
+    'Social': 'Sozial',
+    'Impact': 'Wirkung',
+    'Activity': 'Aktivität',
+    'Trends': 'Trends',
+    'Contributions': 'Beiträge',
+    'Organization': 'Organisation',
+    'Team Totals': 'Team gesamt',
+    'Top Reviewers': 'Top-Reviewer',
+    'Repository': 'Repository',
+    'Contributors': 'Mitwirkende',
+    'Commit Activity': 'Commit-Aktivität',
+    'Current': 'Aktuell',
+    'Longest': 'Längste',
+    'Commits': 'Commits',
+    'PRs Merged': 'PRs gemergt',
+    'Reviews': 'Reviews',
+    'Issues': 'Issues',
+    'Stars': 'Sterne',
+    'Forks': 'Forks',
+    'Followers': 'Follower',
+    'Discussions': 'Diskussionen',
+    'Gists': 'Gists',
+    'Impact Score': 'Wirkungswert',
+    'Most Active': 'Aktivster Tag',
+    'Account Age': 'Kontoalter',
+    'Open Issues': 'Offene Issues',
+    'Closed': 'Geschlossen',
+    'Head to Head': 'Kopf an Kopf',
+    'Top languages': 'Top-Sprachen',
+    'Rank': 'Rang',
+    'Persona': 'Persona',
+    'Current streak': 'Aktuelle Serie',
+    'Longest streak': 'Längste Serie',
+    'Error': 'Fehler',
+    'stars': 'Sterne',
+    'reviews': 'Reviews',
+    'followers': 'Follower',
+    'No languages found': 'Keine Sprachen gefunden',
+    'No repos found': 'Keine Repos gefunden',
+    'No members found': 'Keine Mitglieder gefunden',
+    'No releases': 'Keine Releases',
+    'No recent commits': 'Keine neuen Commits',
+    'Impact · this month': 'Wirkung · dieser Monat',
+    'Impact · last {days}': 'Wirkung · letzte {days}',
+    '{total} in {weeks}': '{total} in {weeks}',
+    '{included} of {total} members': '{included} von {total} Mitgliedern',
+    'by {owner}': 'von {owner}',
+    '{count} commits in {weeks}': '{count} Commits in {weeks}',
+    '{total} contributions in {weeks} weeks': '{total} Beiträge in {weeks} Wochen',
+    'Includes private activity': 'Enthält private Aktivität',
+    'Less': 'Weniger',
+    'More': 'Mehr',
+    'Last 30 days': 'Letzte 30 Tage',
+    'Last 90 days': 'Letzte 90 Tage',
+    'Last year': 'Letztes Jahr',
+    'All time': 'Gesamt',
+    'Code Guardian': 'Code-Wächter',
+    'Star Collector': 'Sternesammler',
+    'PR Machine': 'PR-Maschine',
+    'Commit Warrior': 'Commit-Krieger',
+    'Issue Hunter': 'Issue-Jäger',
+    'Community Voice': 'Community-Stimme',
+    'Review Master': 'Review-Meister',
+    'Rising Star': 'Aufsteiger',
+    'Merge Master': 'Merge-Meister',
+    'Code Explorer': 'Code-Entdecker',
+    'LEGEND': 'LEGENDE',
+    'MASTER': 'MEISTER',
+    'SENIOR': 'SENIOR',
+    'EXPERT': 'EXPERTE',
+    'BUILDER': 'ERBAUER',
+    'CODER': 'CODER',
+    'ROOKIE': 'NEULING',
+    'Night Owl': 'Nachteule',
+    'Early Bird': 'Frühaufsteher',
+    'Weekend Warrior': 'Wochenendkrieger',
+    'Polyglot': 'Polyglott',
+    'Sponsor': 'Sponsor',
+    'Marathoner': 'Marathonläufer',
+    'Reviewer': 'Reviewer',
+    'Stargazer': 'Sternegucker',
+    'Merger': 'Merger'
+  },
+  es: {
+    'Identity': 'Identidad',
+    'Streaks': 'Rachas',
+    'Stats': 'Estadísticas',
+    'Languages': 'Lenguajes',
+    'Top Repos': 'Repos destacados',
+    'Social': 'Social',
+    'Impact': 'Impacto',
+    'Activity': 'Actividad',
+    'Trends': 'Tendencias',
+    'Contributions': 'Contribuciones',
+    'Organization': 'Organización',
+    'Team Totals': 'Totales del equipo',
+    'Top Reviewers': 'Mejores revisores',
+    'Repository': 'Repositorio',
+    'Contributors': 'Colaboradores',
+    'Commit Activity': 'Actividad de commits',
+    'Current': 'Actual',
+    'Longest': 'Más larga',
+    'Commits': 'Commits',
+    'PRs Merged': 'PRs fusionados',
+    'Reviews': 'Revisiones',
+    'Issues': 'Issues',
+    'Stars': 'Estrellas',
+    'Forks': 'Forks',
+    'Followers': 'Seguidores',
+    'Discussions': 'Discusiones',
+    'Gists': 'Gists',
+    'Impact Score': 'Puntos de impacto',
+    'Most Active': 'Día más activo',
+    'Account Age': 'Antigüedad',
+    'Open Issues': 'Issues abiertos',
+    'Closed': 'Cerrados',
+    'Head to Head': 'Cara a cara',
+    'Top languages': 'Lenguajes principales',
+    'Rank': 'Rango',
+    'Persona': 'Perfil',
+    'Current streak': 'Racha actual',
+    'Longest streak': 'Racha más larga',
+    'Error': 'Error',
+    'stars': 'estrellas',
+    'reviews': 'revisiones',
+    'followers': 'seguidores',
+    'No languages found': 'Sin lenguajes',
+    'No repos found': 'Sin repos',
+    'No members found': 'Sin miembros',
+    'No releases': 'Sin versiones',
+    'No recent commits': 'Sin commits recientes',
+    'Impact · this month': 'Impacto · este mes',
+    'Impact · last {days}': 'Impacto · últimos {days}',
+    '{total} in {weeks}': '{total} en {weeks}',
+    '{included} of {total} members': '{included} de {total} miembros',
+    'by {owner}': 'de {owner}',
+    '{count} commits in {weeks}': '{count} commits en {weeks}',
+    '{total} contributions in {weeks} weeks': '{total} contribuciones en {weeks} semanas',
+    'Includes private activity': 'Incluye actividad privada',
+    'Less': 'Menos',
+    'More': 'Más',
+    'Last 30 days': 'Últimos 30 días',
+    'Last 90 days': 'Últimos 90 días',
+    'Last year': 'Último año',
+    'All time': 'Todo el tiempo',
+    'Code Guardian': 'Guardián del código',
+    'Star Collector': 'Coleccionista',
+    'PR Machine': 'Máquina de PRs',
+    'Commit Warrior': 'Guerrero del commit',
+    'Issue Hunter': 'Cazador de issues',
+    'Community Voice': 'Voz de la comunidad',
+    'Review Master': 'Maestro revisor',
+    'Rising Star': 'Estrella en ascenso',
+    'Merge Master': 'Maestro del merge',
+    'Code Explorer': 'Explorador de código',
+    'LEGEND': 'LEYENDA',
+    'MASTER': 'MAESTRO',
+    'SENIOR': 'SÉNIOR',
+    'EXPERT': 'EXPERTO',
+    'BUILDER': 'CONSTRUCTOR',
+    'CODER': 'PROGRAMADOR',
+    'ROOKIE': 'NOVATO',
+    'Night Owl': 'Búho nocturno',
+    'Early Bird': 'Madrugador',
+    'Weekend Warrior': 'Guerrero de finde',
+    'Polyglot': 'Políglota',
+    'Sponsor': 'Patrocinador',
+    'Marathoner': 'Maratonista',
+    'Reviewer': 'Revisor',
+    'Stargazer': 'Astrónomo',
+    'Merger': 'Fusionador'
+  },
+  fr: {
+    'Identity': 'Identité',
+    'Streaks': 'Séries',
+    'Stats': 'Statistiques',
+    'Languages': 'Langages',
+    'Top Repos': 'Top dépôts',
+    'Social': 'Social',
+    'Impact': 'Impact',
+    'Activity': 'Activité',
+    'Trends': 'Tendances',
+    'Contributions': 'Contributions',
+    'Organization': 'Organisation',
+    'Team Totals': "Totaux de l'équipe",
+    'Top Reviewers': 'Top relecteurs',
+    'Repository': 'Dépôt',
+    'Contributors': 'Contributeurs',
+    'Commit Activity': 'Activité des commits',
+    'Current': 'Actuelle',
+    'Longest': 'Record',
+    'Commits': 'Commits',
+    'PRs Merged': 'PR fusionnées',
+    'Reviews': 'Relectures',
+    'Issues': 'Issues',
+    'Stars': 'Étoiles',
+    'Forks': 'Forks',
+    'Followers': 'Abonnés',
+    'Discussions': 'Discussions',
+    'Gists': 'Gists',
+    'Impact Score': "Score d'impact",
+    'Most Active': 'Jour phare',
+    'Account Age': 'Ancienneté',
+    'Open Issues': 'Issues ouvertes',
+    'Closed': 'Fermées',
+    'Head to Head': 'Face à face',
+    'Top languages': 'Langages principaux',
+    'Rank': 'Rang',
+    'Persona': 'Profil',
+    'Current streak': 'Série actuelle',
+    'Longest streak': 'Plus longue série',
+    'Error': 'Erreur',
+    'stars': 'étoiles',
+    'reviews': 'relectures',
+    'followers': 'abonnés',
+    'No languages found': 'Aucun langage',
+    'No repos found': 'Aucun dépôt',
+    'No members found': 'Aucun membre',
+    'No releases': 'Aucune version',
+    'No recent commits': 'Aucun commit récent',
+    'Impact · this month': 'Impact · ce mois-ci',
+    'Impact · last {days}': 'Impact · derniers {days}',
+    '{total} in {weeks}': '{total} en {weeks}',
+    '{included} of {total} members': '{included} membres sur {total}',
+    'by {owner}': 'par {owner}',
+    '{count} commits in {weeks}': '{count} commits en {weeks}',
+    '{total} contributions in {weeks} weeks': '{total} contributions en {weeks} semaines',
+    'Includes private activity': 'Inclut l’activité privée',
+    'Less': 'Moins',
+    'More': 'Plus',
+    'Last 30 days': '30 derniers jours',
+    'Last 90 days': '90 derniers jours',
+    'Last year': 'Dernière année',
+    'All time': 'Depuis le début',
+    'Code Guardian': 'Gardien du code',
+    'Star Collector': "Collectionneur d'étoiles",
+    'PR Machine': 'Machine à PR',
+    'Commit Warrior': 'Guerrier du commit',
+    'Issue Hunter': "Chasseur d'issues",
+    'Community Voice': 'Voix de la communauté',
+    'Review Master': 'Maître relecteur',
+    'Rising Star': 'Étoile montante',
+    'Merge Master': 'Maître du merge',
+    'Code Explorer': 'Explorateur de code',
+    'LEGEND': 'LÉGENDE',
+    'MASTER': 'MAÎTRE',
+    'SENIOR': 'SENIOR',
+    'EXPERT': 'EXPERT',
+    'BUILDER': 'BÂTISSEUR',
+    'CODER': 'CODEUR',
+    'ROOKIE': 'DÉBUTANT',
+    'Night Owl': 'Oiseau de nuit',
+    'Early Bird': 'Lève-tôt',
+    'Weekend Warrior': 'Guerrier du week-end',
+    'Polyglot': 'Polyglotte',
+    'Sponsor': 'Sponsor',
+    'Marathoner': 'Marathonien',
+    'Reviewer': 'Relecteur',
+    'Stargazer': 'Astronome',
+    'Merger': 'Fusionneur'
+  },
+  pt: {
+    'Identity': 'Identidade',
+    'Streaks': 'Sequências',
+    'Stats': 'Estatísticas',
+    'Languages': 'Linguagens',
+    'Top Repos': 'Repos em destaque',
+    'Social': 'Social',
+    'Impact': 'Impacto',
+    'Activity': 'Atividade',
+    'Trends': 'Tendências',
+    'Contributions': 'Contribuições',
+    'Organization': 'Organização',
+    'Team Totals': 'Totais da equipe',
+    'Top Reviewers': 'Top revisores',
+    'Repository': 'Repositório',
+    'Contributors': 'Contribuidores',
+    'Commit Activity': 'Atividade de commits',
+    'Current': 'Atual',
+    'Longest': 'Maior',
+    'Commits': 'Commits',
+    'PRs Merged': 'PRs mesclados',
+    'Reviews': 'Revisões',
+    'Issues': 'Issues',
+    'Stars': 'Estrelas',
+    'Forks': 'Forks',
+    'Followers': 'Seguidores',
+    'Discussions': 'Discussões',
+    'Gists': 'Gists',
+    'Impact Score': 'Pontos de impacto',
+    'Most Active': 'Dia mais ativo',
+    'Account Age': 'Idade da conta',
+    'Open Issues': 'Issues abertas',
+    'Closed': 'Fechadas',
+    'Head to Head': 'Frente a frente',
+    'Top languages': 'Principais linguagens',
+    'Rank': 'Nível',
+    'Persona': 'Perfil',
+    'Current streak': 'Sequência atual',
+    'Longest streak': 'Maior sequência',
+    'Error': 'Erro',
+    'stars': 'estrelas',
+    'reviews': 'revisões',
+    'followers': 'seguidores',
+    'No languages found': 'Nenhuma linguagem',
+    'No repos found': 'Nenhum repo',
+    'No members found': 'Nenhum membro',
+    'No releases': 'Nenhuma versão',
+    'No recent commits': 'Nenhum commit recente',
+    'Impact · this month': 'Impacto · este mês',
+    'Impact · last {days}': 'Impacto · últimos {days}',
+    '{total} in {weeks}': '{total} em {weeks}',
+    '{included} of {total} members': '{included} de {total} membros',
+    'by {owner}': 'por {owner}',
+    '{count} commits in {weeks}': '{count} commits em {weeks}',
+    '{total} contributions in {weeks} weeks': '{total} contribuições em {weeks} semanas',
+    'Includes private activity': 'Inclui atividade privada',
+    'Less': 'Menos',
+    'More': 'Mais',
+    'Last 30 days': 'Últimos 30 dias',
+    'Last 90 days': 'Últimos 90 dias',
+    'Last year': 'Último ano',
+    'All time': 'Todo o período',
+    'Code Guardian': 'Guardião do código',
+    'Star Collector': 'Colecionador',
+    'PR Machine': 'Máquina de PRs',
+    'Commit Warrior': 'Guerreiro do commit',
+    'Issue Hunter': 'Caçador de issues',
+    'Community Voice': 'Voz da comunidade',
+    'Review Master': 'Mestre revisor',
+    'Rising Star': 'Estrela em ascensão',
+    'Merge Master': 'Mestre do merge',
+    'Code Explorer': 'Explorador de código',
+    'LEGEND': 'LENDA',
+    'MASTER': 'MESTRE',
+    'SENIOR': 'SÊNIOR',
+    'EXPERT': 'ESPECIALISTA',
+    'BUILDER': 'CONSTRUTOR',
+    'CODER': 'PROGRAMADOR',
+    'ROOKIE': 'NOVATO',
+    'Night Owl': 'Coruja',
+    'Early Bird': 'Madrugador',
+    'Weekend Warrior': 'Guerreiro do fim de semana',
+    'Polyglot': 'Poliglota',
+    'Sponsor': 'Patrocinador',
+    'Marathoner': 'Maratonista',
+    'Reviewer': 'Revisor',
+    'Stargazer': 'Astrônomo',
+    'Merger': 'Mesclador'
+  },
+  ja: {
+    'Identity': 'プロフィール',
+    'Streaks': '連続記録',
+    'Stats': '統計',
+    'Languages': '言語',
+    'Top Repos': '人気リポジトリ',
+    'Social': 'ソーシャル',
+    'Impact': 'インパクト',
+    'Activity': 'アクティビティ',
+    'Trends': 'トレンド',
+    'Contributions': 'コントリビューション',
+    'Organization': '組織',
+    'Team Totals': 'チーム合計',
+    'Top Reviewers': 'トップレビュアー',
+    'Repository': 'リポジトリ',
+    'Contributors': 'コントリビューター',
+    'Commit Activity': 'コミット推移',
+    'Current': '現在',
+    'Longest': '最長',
+    'Commits': 'コミット',
+    'PRs Merged': 'マージ済みPR',
+    'Reviews': 'レビュー',
+    'Issues': 'Issue',
+    'Stars': 'スター',
+    'Forks': 'フォーク',
+    'Followers': 'フォロワー',
+    'Discussions': 'ディスカッション',
+    'Gists': 'Gist',
+    'Impact Score': 'インパクトスコア',
+    'Most Active': '最も活発',
+    'Account Age': 'アカウント歴',
+    'Open Issues': '未解決のIssue',
+    'Closed': '解決済み',
+    'Head to Head': '直接対決',
+    'Top languages': '主な言語',
+    'Rank': 'ランク',
+    'Persona': 'タイプ',
+    'Current streak': '現在の連続日数',
+    'Longest streak': '最長連続日数',
+    'Error': 'エラー',
+    'stars': 'スター',
+    'reviews': 'レビュー',
+    'followers': 'フォロワー',
+    'No languages found': '言語なし',
+    'No repos found': 'リポジトリなし',
+    'No members found': 'メンバーなし',
+    'No releases': 'リリースなし',
+    'No recent commits': '最近のコミットなし',
+    'Impact · this month': 'インパクト · 今月',
+    'Impact · last {days}': 'インパクト · 過去{days}',
+    '{total} in {weeks}': '{weeks}で{total}',
+    '{included} of {total} members': '{total}人中{included}人',
+    'by {owner}': '作成: {owner}',
+    '{count} commits in {weeks}': '{weeks}で{count}コミット',
+    '{total} contributions in {weeks} weeks': '{weeks}週間で{total}件のコントリビューション',
+    'Includes private activity': '非公開のアクティビティを含む',
+    'Less': '少',
+    'More': '多',
+    'Last 30 days': '過去30日間',
+    'Last 90 days': '過去90日間',
+    'Last year': '過去1年間',
+    'All time': '全期間',
+    'Code Guardian': 'コードの守護者',
+    'Star Collector': 'スターコレクター',
+    'PR Machine': 'PRマシン',
+    'Commit Warrior': 'コミット戦士',
+    'Issue Hunter': 'Issueハンター',
+    'Community Voice': 'コミュニティの声',
+    'Review Master': 'レビューマスター',
+    'Rising Star': 'ライジングスター',
+    'Merge Master': 'マージマスター',
+    'Code Explorer': 'コード探検家',
+    'LEGEND': 'レジェンド',
+    'MASTER': 'マスター',
+    'SENIOR': 'シニア',
+    'EXPERT': 'エキスパート',
+    'BUILDER': 'ビルダー',
+    'CODER': 'コーダー',
+    'ROOKIE': 'ルーキー',
+    'Night Owl': '夜型',
+    'Early Bird': '朝型',
+    'Weekend Warrior': '週末戦士',
+    'Polyglot': 'ポリグロット',
+    'Sponsor': 'スポンサー',
+    'Marathoner': 'マラソンランナー',
+    'Reviewer': 'レビュアー',
+    'Stargazer': 'スターゲイザー',
+    'Merger': 'マージャー'
+  },
+  ar: {
+    'Identity': 'الهوية',
+    'Streaks': 'السلاسل',
+    'Stats': 'الإحصاءات',
+    'Languages': 'اللغات',
+    'Top Repos': 'أبرز المستودعات',
+    'Social': 'اجتماعي',
+    'Impact': 'التأثير',
+    'Activity': 'النشاط',
+    'Trends': 'الاتجاهات',
+    'Contributions': 'المساهمات',
+    'Organization': 'المؤسسة',
+    'Team Totals': 'إجمالي الفريق',
+    'Top Reviewers': 'أبرز المراجعين',
+    'Repository': 'المستودع',
+    'Contributors': 'المساهمون',
+    'Commit Activity': 'نشاط الإيداعات',
+    'Current': 'الحالية',
+    'Longest': 'الأطول',
+    'Commits': 'الإيداعات',
+    'PRs Merged': 'طلبات مدمجة',
+    'Reviews': 'المراجعات',
+    'Issues': 'المشكلات',
+    'Stars': 'النجوم',
+    'Forks': 'التفرعات',
+    'Followers': 'المتابعون',
+    'Discussions': 'النقاشات',
+    'Gists': 'Gists',
+    'Impact Score': 'نقاط التأثير',
+    'Most Active': 'الأكثر نشاطًا',
+    'Account Age': 'عمر الحساب',
+    'Open Issues': 'مشكلات مفتوحة',
+    'Closed': 'مغلقة',
+    'Head to Head': 'وجهًا لوجه',
+    'Top languages': 'أبرز اللغات',
+    'Rank': 'الرتبة',
+    'Persona': 'الشخصية',
+    'Current streak': 'السلسلة الحالية',
+    'Longest streak': 'أطول سلسلة',
+    'Error': 'خطأ',
+    'stars': 'نجوم',
+    'reviews': 'مراجعات',
+    'followers': 'متابعون',
+    'No languages found': 'لا توجد لغات',
+    'No repos found': 'لا توجد مستودعات',
+    'No members found': 'لا يوجد أعضاء',
+    'No releases': 'لا توجد إصدارات',
+    'No recent commits': 'لا توجد إيداعات حديثة',
+    'Impact · this month': 'التأثير · هذا الشهر',
+    'Impact · last {days}': 'التأثير · آخر {days}',
+    '{total} in {weeks}': '{total} في {weeks}',
+    '{included} of {total} members': '{included} من {total} عضوًا',
+    'by {owner}': 'بواسطة {owner}',
+    '{count} commits in {weeks}': '{count} إيداع في {weeks}',
+    '{total} contributions in {weeks} weeks': '{total} مساهمة في {weeks} أسبوعًا',
+    'Includes private activity': 'يشمل النشاط الخاص',
+    'Less': 'أقل',
+    'More': 'أكثر',
+    'Last 30 days': 'آخر 30 يومًا',
+    'Last 90 days': 'آخر 90 يومًا',
+    'Last year': 'آخر سنة',
+    'All time': 'كل الأوقات',
+    'Code Guardian': 'حارس الكود',
+    'Star Collector': 'جامع النجوم',
+    'PR Machine': 'آلة طلبات الدمج',
+    'Commit Warrior': 'محارب الإيداعات',
+    'Issue Hunter': 'صائد المشكلات',
+    'Community Voice': 'صوت المجتمع',
+    'Review Master': 'خبير المراجعة',
+    'Rising Star': 'نجم صاعد',
+    'Merge Master': 'خبير الدمج',
+    'Code Explorer': 'مستكشف الكود',
+    'LEGEND': 'أسطورة',
+    'MASTER': 'أستاذ',
+    'SENIOR': 'متمرس',
+    'EXPERT': 'خبير',
+    'BUILDER': 'باني',
+    'CODER': 'مبرمج',
+    'ROOKIE': 'مبتدئ',
+    'Night Owl': 'بومة الليل',
+    'Early Bird': 'الطائر المبكر',
+    'Weekend Warrior': 'محارب العطلة',
+    'Polyglot': 'متعدد اللغات',
+    'Sponsor': 'داعم',
+    'Marathoner': 'عدّاء ماراثون',
+    'Reviewer': 'مراجع',
+    'Stargazer': 'متأمل النجوم',
+    'Merger': 'دامج'
+  }
+};
+
+// Languages written right to left; their cards are mirrored
+const RTL_LANGUAGES = ['ar'];
+
+// Languages outside the Latin script, which the fonts embedded for PNG and
+// WebP output (lib/raster.js) have no glyphs for
+const NON_LATIN_LANGUAGES = ['ja', 'ar'];
+
+// Numbers from here up are shown compact (12.3K)
+const COMPACT_FROM = 10000;
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const LOCALES = ['en', ...Object.keys(CATALOGS)];
+
+// Locale for a `locale=` value such as `de` or `pt-BR`; empty means English.
+// The region only affects number and date formats.
+export function createLocale(value) {
+  let tag;
+  try {
+    [tag] = Intl.getCanonicalLocales(value || 'en');
+  } catch {
+    throw new Error(`Unknown locale: ${value}`);
+  }
+  const { language } = new Intl.Locale(tag);
+  if (language !== 'en' && !CATALOGS[language]) {
+    throw new Error(`Unsupported locale: ${value} (available: ${LOCALES.join(', ')})`);
+  }
+  const messages = CATALOGS[language] ?? {};
+
+  const formatters = new Map();
+  const numberFormat = (compact, unit) => {
+    const key = `${compact}:${unit ?? ''}`;
+    if (!formatters.has(key)) {
+      formatters.set(key, new Intl.NumberFormat(tag, {
+        maximumFractionDigits: 1,
+        ...(compact && { notation: 'compact' }),
+        ...(unit && { style: 'unit', unit, unitDisplay: 'narrow' })
+      }));
+    }
+    return formatters.get(key);
+  };
+  const weekdayFormat = new Intl.DateTimeFormat(tag, { weekday: 'short', timeZone: 'UTC' });
+  const monthFormat = new Intl.DateTimeFormat(tag, { month: 'short', timeZone: 'UTC' });
+
+  return {
+    tag,
+    rtl: RTL_LANGUAGES.includes(language),
+    latin: !NON_LATIN_LANGUAGES.includes(language),
+    t(message, values = {}) {
+      return (messages[message] ?? message).replace(/\{(\w+)\}/g, (match, name) => name in values ? String(values[name]) : match);
+    },
+    // `unit` is an Intl unit such as 'day', 'week', 'year' or 'percent'
+    number(value, unit) {
+      return numberFormat(Math.abs(value) >= COMPACT_FROM, unit).format(value);
+    },
+    // Short name for an English weekday name ('Thursday')
+    weekday(name) {
+      const index = Math.max(0, WEEKDAYS.indexOf(name));
+      return weekdayFormat.format(new Date(Date.UTC(2024, 0, 7 + index)));
+    },
+    // Short name for a month, 0 for January
+    month(index) {
+      return monthFormat.format(new Date(Date.UTC(2024, index, 1)));
+    }
+  };
+}
@@ -0,0 +1,74 @@
+import { readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { initWasm, Resvg } from '@resvg/resvg-wasm';
+import encodeWebp, { init as initWebp } from '@jsquash/webp/encode.js';
+
+const require = createRequire(import.meta.url);
+
+// Fonts the cards ask for, embedded so the server renders them the same everywhere
+const FONT_FILES = [
+  '@expo-google-fonts/inter/400Regular/Inter_400Regular.ttf',
+  '@expo-google-fonts/inter/600SemiBold/Inter_600SemiBold.ttf',
+  '@expo-google-fonts/inter/700Bold/Inter_700Bold.ttf',
+  '@expo-google-fonts/jetbrains-mono/400Regular/JetBrainsMono_400Regular.ttf',
+  '@expo-google-fonts/jetbrains-mono/700Bold/JetBrainsMono_700Bold.ttf'
+];
+
+export const RASTER_FORMATS = {
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+let resvgReady;
+let webpReady;
+let fontsPromise;
+
+// WASM modules and fonts load once per instance, on the first raster request
+function loadResvg() {
+  resvgReady ??= readFile(require.resolve('@resvg/resvg-wasm/index_bg.wasm')).then(wasm => initWasm(wasm));
+  return resvgReady;
+}
+
+function loadWebp() {
+  // Node 22 always has WASM SIMD, which is the build @jsquash/webp picks
+  webpReady ??= readFile(require.resolve('@jsquash/webp/codec/enc/webp_enc_simd.wasm'))
+    .then(wasm => WebAssembly.compile(wasm))
+    .then(module => initWebp(module));
+  return webpReady;
+}
+
+function loadFonts() {
+  fontsPromise ??= Promise.all(FONT_FILES.map(file => readFile(require.resolve(file)).then(buf => new Uint8Array(buf))));
+  return fontsPromise;
+}
+
+// Render an SVG string to PNG or WebP bytes without a browser
+export async function rasterize(svg, format = 'png') {
+  if (!RASTER_FORMATS[format]) throw new Error(`Unsupported raster format: ${format}`);
+
+  const [, fontBuffers] = await Promise.all([loadResvg(), loadFonts()]);
+  const resvg = new Resvg(svg, {
+    font: {
+      fontBuffers,
+      loadSystemFonts: false,
+      defaultFontFamily: 'Inter',
+      sansSerifFamily: 'Inter',
+      monospaceFamily: 'JetBrains Mono'
+    }
+  });
+  const image = resvg.render();
+
+  try {
+    if (format === 'png') return Buffer.from(image.asPng());
+
+    await loadWebp();
+    const webp = await encodeWebp(
+      { data: new Uint8ClampedArray(image.pixels), width: image.width, height: image.height },
+      { quality: 90 }
+    );
+    return Buffer.from(webp);
+  } finally {
+    image.free();
+    resvg.free();
+  }
+}
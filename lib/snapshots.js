@@ -0,0 +1,112 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// Daily metric snapshots per user, so cards can show growth over time. A
+// snapshot is { date: 'YYYY-MM-DD', ...counters }; a user gets at most one
+// per UTC day and the first one recorded that day wins.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// UTC calendar day of `now`, optionally shifted back `daysAgo` days
+export function snapshotDate(now = new Date(), daysAgo = 0) {
+  return new Date(now.getTime() - daysAgo * DAY).toISOString().slice(0, 10);
+}
+
+// GitHub logins are letters, digits and dashes; anything else never reaches
+// a file name or query
+export function isLogin(login) {
+  return /^[a-z\d](?:[a-z\d-]{0,38})$/i.test(String(login));
+}
+
+function keyFor(login) {
+  if (!isLogin(login)) throw new Error(`Invalid login: ${login}`);
+  return login.toLowerCase();
+}
+
+// One JSON file per user with their snapshots oldest first, written via
+// rename so readers never see half a file. Keeps the last `maxDays` days.
+export function createJsonSnapshotStore({ path: dir = 'snapshots', maxDays = 400 } = {}) {
+  const fileFor = (login) => path.join(dir, `${keyFor(login)}.json`);
+  const read = async (login) => {
+    try {
+      return JSON.parse(await readFile(fileFor(login), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+
+  return {
+    name: 'json',
+    async record(login, snapshot) {
+      const snapshots = await read(login);
+      if (snapshots.some(stored => stored.date === snapshot.date)) return false;
+      const cutoff = snapshotDate(new Date(`${snapshot.date}T00:00:00Z`), maxDays);
+      const kept = [...snapshots, snapshot]
+        .filter(stored => stored.date > cutoff)
+        .sort((a, b) => a.date.localeCompare(b.date));
+      await mkdir(dir, { recursive: true });
+      const file = fileFor(login);
+      const temp = `${file}.${process.pid}.tmp`;
+      await writeFile(temp, JSON.stringify(kept));
+      await rename(temp, file);
+      return true;
+    },
+    async history(login, since) {
+      return (await read(login)).filter(stored => !since || stored.date >= since);
+    }
+  };
+}
+
+// A single SQLite file via node:sqlite (Node 22.13+, no extra dependency),
+// one row per user and day
+export function createSqliteSnapshotStore({ path: file = 'snapshots.db', maxDays = 400 } = {}) {
+  let dbPromise;
+  const db = () => {
+    dbPromise ??= import('node:sqlite')
+      .catch(() => { throw new Error("SQLite snapshot store needs Node 22.13 or later (node:sqlite)"); })
+      .then(async ({ DatabaseSync }) => {
+        await mkdir(path.dirname(path.resolve(file)), { recursive: true });
+        const database = new DatabaseSync(file);
+        database.exec(`CREATE TABLE IF NOT EXISTS snapshots (
+          login TEXT NOT NULL,
+          date TEXT NOT NULL,
+          data TEXT NOT NULL,
+          PRIMARY KEY (login, date)
+        )`);
+        return database;
+      });
+    return dbPromise;
+  };
+
+  return {
+    name: 'sqlite',
+    async record(login, snapshot) {
+      const database = await db();
+      const key = keyFor(login);
+      const { date, ...counters } = snapshot;
+      const { changes } = database
+        .prepare('INSERT OR IGNORE INTO snapshots (login, date, data) VALUES (?, ?, ?)')
+        .run(key, date, JSON.stringify(counters));
+      if (changes > 0) {
+        const cutoff = snapshotDate(new Date(`${date}T00:00:00Z`), maxDays);
+        database.prepare('DELETE FROM snapshots WHERE login = ? AND date <= ?').run(key, cutoff);
+      }
+      return changes > 0;
+    },
+    async history(login, since) {
+      const rows = (await db())
+        .prepare('SELECT date, data FROM snapshots WHERE login = ? AND date >= ? ORDER BY date')
+        .all(keyFor(login), since ?? '');
+      return rows.map(row => ({ date: row.date, ...JSON.parse(row.data) }));
+    }
+  };
+}
+
+export function createSnapshotStore(options = {}) {
+  switch (options.backend) {
+    case 'json': return createJsonSnapshotStore(options);
+    case 'sqlite': return createSqliteSnapshotStore(options);
+    default: throw new Error(`Unknown snapshot backend: ${options.backend}`);
+  }
+}
@@ -0,0 +1,133 @@
+// Pool of GitHub tokens that rotates on remaining GraphQL rate limit and
+// parks tokens that are exhausted or rejected. State lives per instance.
+
+// Points to keep in reserve before a token is treated as exhausted
+const RESERVE = 10;
+// How long a token GitHub rejected (401) sits out before it is retried
+const UNAUTHORIZED_COOLDOWN = 60 * 60 * 1000;
+// Cooldown when GitHub rate limits without saying when the window resets
+const DEFAULT_COOLDOWN = 60 * 1000;
+
+// GH_TOKEN (a single token or a comma list) plus GH_TOKEN_1..GH_TOKEN_N
+export function readTokensFromEnv(env = process.env) {
+  const tokens = [];
+  const add = (value) => String(value ?? '')
+    .split(',')
+    .map(token => token.trim())
+    .filter(token => token && !tokens.includes(token))
+    .forEach(token => tokens.push(token));
+
+  add(env.GH_TOKEN);
+  Object.keys(env)
+    .filter(key => /^GH_TOKEN_\d+$/.test(key))
+    .sort((a, b) => Number(a.slice(9)) - Number(b.slice(9)))
+    .forEach(key => add(env[key]));
+  return tokens;
+}
+
+// Rate-limit hints from REST-style headers, which GraphQL responses also carry
+export function rateLimitFromHeaders(headers) {
+  const remaining = headers.get('x-ratelimit-remaining');
+  const reset = headers.get('x-ratelimit-reset');
+  const retryAfter = headers.get('retry-after');
+  return {
+    remaining: remaining === null ? undefined : Number(remaining),
+    limit: headers.get('x-ratelimit-limit') === null ? undefined : Number(headers.get('x-ratelimit-limit')),
+    resetAt: reset !== null
+      ? new Date(Number(reset) * 1000).toISOString()
+      : retryAfter !== null ? new Date(Date.now() + Number(retryAfter) * 1000).toISOString() : undefined
+  };
+}
+
+export function createTokenPool(tokens) {
+  const entries = tokens.map((token, i) => ({
+    id: i + 1,
+    token,
+    remaining: undefined,
+    limit: undefined,
+    resetAt: undefined,
+    cooldownUntil: 0,
+    cooldownReason: undefined,
+    lastUsed: 0,
+    requests: 0,
+    failures: 0,
+    lastError: undefined
+  }));
+
+  // Forget a rate-limit reading once its window has reset
+  const refreshWindow = (entry, now) => {
+    if (entry.resetAt && Date.parse(entry.resetAt) <= now) {
+      entry.remaining = undefined;
+      entry.resetAt = undefined;
+    }
+  };
+
+  return {
+    size: entries.length,
+
+    // Token with the most remaining points (unknown counts as full), least
+    // recently used first on ties. Returns null if every token is parked.
+    acquire(exclude = new Set()) {
+      const now = Date.now();
+      const available = entries.filter(entry => {
+        refreshWindow(entry, now);
+        return !exclude.has(entry) && entry.cooldownUntil <= now;
+      });
+      if (available.length === 0) return null;
+      available.sort((a, b) =>
+        (b.remaining ?? Infinity) - (a.remaining ?? Infinity) || a.lastUsed - b.lastUsed);
+      const entry = available[0];
+      entry.lastUsed = now;
+      entry.requests++;
+      return entry;
+    },
+
+    // Record the rate limit GitHub reported; park the token if it is spent
+    report(entry, { remaining, limit, resetAt } = {}) {
+      if (remaining !== undefined) entry.remaining = remaining;
+      if (limit !== undefined) entry.limit = limit;
+      if (resetAt !== undefined) entry.resetAt = resetAt;
+      if (entry.remaining !== undefined && entry.remaining <= RESERVE) {
+        this.cooldown(entry, 'exhausted', entry.resetAt);
+      }
+    },
+
+    cooldown(entry, reason, until) {
+      const fallback = reason === 'unauthorized' ? UNAUTHORIZED_COOLDOWN : DEFAULT_COOLDOWN;
+      entry.cooldownUntil = until ? Date.parse(until) : Date.now() + fallback;
+      entry.cooldownReason = reason;
+      if (reason !== 'exhausted') {
+        entry.failures++;
+        entry.lastError = reason;
+      }
+    },
+
+    // Earliest time a parked token becomes usable again
+    nextAvailableAt() {
+      const until = Math.min(...entries.map(entry => entry.cooldownUntil));
+      return Number.isFinite(until) ? new Date(until).toISOString() : undefined;
+    },
+
+    // Token health for the status endpoint. Tokens are only named by their
+    // place in the pool: even a few characters of one are secret.
+    health() {
+      const now = Date.now();
+      return entries.map(entry => {
+        refreshWindow(entry, now);
+        const cooling = entry.cooldownUntil > now;
+        return {
+          id: entry.id,
+          token: `token #${entry.id}`,
+          status: cooling ? entry.cooldownReason : 'ok',
+          remaining: entry.remaining ?? null,
+          limit: entry.limit ?? null,
+          resetAt: entry.resetAt ?? null,
+          cooldownUntil: cooling ? new Date(entry.cooldownUntil).toISOString() : null,
+          requests: entry.requests,
+          failures: entry.failures,
+          lastError: entry.lastError ?? null
+        };
+      });
+    }
+  };
+}
@@ -0,0 +1,57 @@
+// Escape-by-default markup building. Every value interpolated into an `xml`
+// template is escaped unless it is itself markup (another `xml` template or
+// `raw()`), so user-controlled strings can never open tags or attributes.
+
+class Markup {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+// Code points XML 1.0 forbids outright (control characters, lone surrogates,
+// U+FFFE/U+FFFF); a parser rejects the whole document if any slips through
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+export function escapeXML(value) {
+  return String(value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/[&<>"']/g, char => ENTITIES[char]);
+}
+
+// Trusted markup that goes out verbatim; only for strings the code itself built
+export function raw(value) {
+  return new Markup(String(value));
+}
+
+function interpolate(value) {
+  if (value instanceof Markup) return value.value;
+  if (Array.isArray(value)) return value.map(interpolate).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return escapeXML(value);
+}
+
+// Tagged template: xml`<text>${name}</text>`. Arrays are joined, and
+// null/undefined/false render nothing so conditionals can be inlined.
+export function xml(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => {
+    out += interpolate(value) + strings[i + 1];
+  });
+  return new Markup(out);
+}
+
+// Colours end up inside attributes and CSS, where escaping alone is not
+// enough (`red; fill: url(...)` is valid XML). Accept hex, rgb()/rgba() and
+// plain CSS colour keywords; anything else gets the fallback.
+const COLOR_PATTERN = /^(#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|rgba?\(\s*\d{1,3}%?\s*,\s*\d{1,3}%?\s*,\s*\d{1,3}%?\s*(?:,\s*(?:0|1|0?\.\d+)\s*)?\)|[a-z]{3,20})$/i;
+
+export function safeColor(value, fallback = '#8b949e') {
+  const color = typeof value === 'string' ? value.trim() : '';
+  return COLOR_PATTERN.test(color) ? color : fallback;
+}
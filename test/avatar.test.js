@@ -0,0 +1,77 @@
+// Avatar downloads with a stubbed HTTP layer: only GitHub's image hosts,
+// only small PNG, JPEG or GIF bodies, and the login's initial on the card
+// whenever the picture can't be had.
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import { createAvatarLoader } from '../lib/avatar.js';
+import { generateSVG, loadAvatar, mapMetrics, setAvatarLoader } from '../api/index.js';
+import { githubUser } from './fixtures/github.js';
+
+const AVATAR_URL = 'https://avatars.githubusercontent.com/u/583231?v=4';
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+// A fetch that answers every request with `response()` and records the URLs
+function stubFetch(response) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url: String(url), init });
+    return response(init);
+  };
+  return { fetch, calls };
+}
+
+const image = (type = 'image/png', body = PNG_BYTES) => () => new Response(body, { headers: { 'content-type': type } });
+
+after(() => setAvatarLoader(undefined));
+
+test('loads a GitHub avatar as a data URI at the requested size', async () => {
+  const { fetch, calls } = stubFetch(image());
+  const uri = await createAvatarLoader({ fetch, size: 96 }).load(AVATAR_URL);
+  assert.equal(uri, `data:image/png;base64,${PNG_BYTES.toString('base64')}`);
+  assert.equal(new URL(calls[0].url).searchParams.get('s'), '96');
+  assert.ok(calls[0].init.signal instanceof AbortSignal);
+});
+
+test('refuses hosts other than GitHub avatars without fetching', async () => {
+  const { fetch, calls } = stubFetch(image());
+  const loader = createAvatarLoader({ fetch });
+  for (const url of ['https://example.com/a.png', 'https://githubusercontent.com.example.com/a.png', 'http://avatars.githubusercontent.com/u/1']) {
+    await assert.rejects(loader.load(url), /Avatar host not allowed/);
+  }
+  assert.equal(calls.length, 0);
+});
+
+test('refuses responses that are not small images', async () => {
+  await assert.rejects(createAvatarLoader({ fetch: stubFetch(image('text/html', '<svg/>')).fetch }).load(AVATAR_URL), /Unsupported avatar type: text\/html/);
+  await assert.rejects(createAvatarLoader({ fetch: stubFetch(image('image/svg+xml', '<svg/>')).fetch }).load(AVATAR_URL), /Unsupported avatar type/);
+  await assert.rejects(createAvatarLoader({ fetch: stubFetch(image()).fetch, maxBytes: 8 }).load(AVATAR_URL), /Avatar larger than 8 bytes/);
+  await assert.rejects(createAvatarLoader({ fetch: stubFetch(() => new Response(null, { status: 404 })).fetch }).load(AVATAR_URL), /failed with 404/);
+});
+
+test('gives up on a slow avatar host after the timeout', async () => {
+  // AbortSignal.timeout doesn't hold the process open, so the stub does
+  const hang = (init) => new Promise((resolve, reject) => {
+    const alive = setTimeout(resolve, 5000);
+    init.signal.addEventListener('abort', () => {
+      clearTimeout(alive);
+      reject(init.signal.reason);
+    });
+  });
+  await assert.rejects(createAvatarLoader({ fetch: stubFetch(hang).fetch, timeout: 20 }).load(AVATAR_URL), { name: 'TimeoutError' });
+});
+
+test('the identity card shows the initial when the avatar cannot be loaded', async () => {
+  const metrics = mapMetrics(githubUser());
+  const card = (avatar) => generateSVG(metrics, 'default', 0, { cards: ['identity'], avatar });
+
+  setAvatarLoader(createAvatarLoader({ fetch: stubFetch(image('text/html', 'nope')).fetch }));
+  const missing = await loadAvatar(null, AVATAR_URL);
+  assert.equal(missing, null);
+  assert.doesNotMatch(card(missing), /<image /);
+  assert.match(card(missing), />O<\/text>/);
+
+  setAvatarLoader(createAvatarLoader({ fetch: stubFetch(image()).fetch }));
+  const loaded = await loadAvatar(null, AVATAR_URL);
+  assert.match(card(loaded), /<image href="data:image\/png;base64,/);
+  assert.doesNotMatch(card(loaded), />O<\/text>/);
+});
@@ -0,0 +1,18 @@
+// Card rendering details that the layout and escaping tests don't cover
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { generateSVG, mapMetrics } from '../api/index.js';
+import { githubUser } from './fixtures/github.js';
+
+const metrics = mapMetrics(githubUser());
+
+// Text content of every <text> element
+const texts = (svg) => [...svg.matchAll(/<text\b[^>]*>([^<]*)<\/text>/g)].map(match => match[1]);
+
+test('English stat rows show their labels in full', () => {
+  for (const card of ['stats', 'social', 'activity']) {
+    const labels = texts(generateSVG(metrics, 'default', 0, { cards: [card], stickers: false }));
+    assert.ok(labels.length > 0);
+    labels.forEach(label => assert.ok(!label.endsWith('...'), `${card} cuts "${label}" short`));
+  }
+});
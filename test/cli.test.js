@@ -0,0 +1,71 @@
+// The command line renderer works offline from a saved GitHub response and
+// applies the same metric options as the endpoint's query parameters.
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { DOMParser } from '@xmldom/xmldom';
+import { githubUser } from './fixtures/github.js';
+
+const CLI = fileURLToPath(new URL('../bin/chaotic-container.js', import.meta.url));
+
+let dir;
+let saved;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'chaotic-cli-'));
+  saved = join(dir, 'github.json');
+  // A raw GraphQL body, as --save-json would have written it
+  await writeFile(saved, JSON.stringify({ data: { user: githubUser() } }));
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+// No token in the environment, so any attempt to fetch would fail the run
+function run(...args) {
+  const env = { ...process.env };
+  Object.keys(env).filter(name => /^(GH|GITHUB)_TOKEN/.test(name)).forEach(name => delete env[name]);
+  return promisify(execFile)(process.execPath, [CLI, '--from-json', saved, ...args], { env, timeout: 60000 });
+}
+
+test('--from-json renders an SVG without a token or network', async () => {
+  const output = join(dir, 'card.svg');
+  const { stderr } = await run('--chaos', '0', '-o', output);
+  assert.match(stderr, /Wrote /);
+
+  const svg = await readFile(output, 'utf8');
+  const errors = [];
+  const doc = new DOMParser({ onError: (level, message) => errors.push(message) }).parseFromString(svg, 'image/svg+xml');
+  assert.deepEqual(errors, []);
+  assert.equal(doc.documentElement.nodeName, 'svg');
+  assert.ok(svg.includes('octocat'));
+});
+
+test('--exclude-repos, --exclude-langs and --weights shape the metrics', async () => {
+  const { stdout: plain } = await run('--format', 'json', '-o', '-');
+  const { stdout: filtered } = await run(
+    '--format', 'json', '-o', '-',
+    '--exclude-repos', 'spoon-knife',
+    '--exclude-langs', 'javascript',
+    '--weights', 'stars:10'
+  );
+  const before = JSON.parse(plain);
+  const after = JSON.parse(filtered);
+
+  assert.equal(before.metrics.stars, 14000);
+  assert.equal(after.metrics.stars, 2000);
+  assert.deepEqual(after.metrics.topLanguages, []);
+  assert.equal(after.score.weights.stars, 10);
+});
+
+test('--langs-by rejects unknown modes', async () => {
+  await assert.rejects(run('--langs-by', 'lines', '-o', '-'), /--langs-by must be repos or bytes/);
+});
+
+test('PNG output is refused for locales without embedded fonts', async () => {
+  await assert.rejects(run('--format', 'png', '--locale', 'ja', '-o', '-'), /only Latin fonts are embedded/);
+});
@@ -0,0 +1,167 @@
+// Hostile strings from GitHub (logins, names, repo and language names,
+// colours, profile fields) and from error messages must come out of every
+// renderer as text, never as markup. Each output has to parse as XML and
+// contain only elements and attributes the renderers draw themselves.
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { DOMParser } from '@xmldom/xmldom';
+import {
+  cardRegistry,
+  generateCompareSVG,
+  generateErrorSVG,
+  generateHeatmapSVG,
+  generateSVG,
+  mapMetrics,
+  mapOrgMetrics,
+  mapRepoMetrics,
+  orgCardRegistry,
+  parseShowParam,
+  repoCardRegistry,
+  resolveTheme
+} from '../api/index.js';
+
+const PAYLOADS = [
+  '<injected/>',
+  '"><injected a="',
+  "'><injected/>",
+  '&amp;&lt;&#x3C;&',
+  ']]><injected/>',
+  'javascript:alert(1)'
+];
+
+const FORBIDDEN_ELEMENTS = ['injected', 'script', 'foreignObject', 'iframe', 'a'];
+
+function calendar() {
+  const start = Date.UTC(2024, 0, 7);
+  return {
+    weeks: Array.from({ length: 53 }, (_, w) => ({
+      contributionDays: Array.from({ length: 7 }, (_, d) => ({
+        contributionCount: (w * 7 + d) % 4,
+        date: new Date(start + (w * 7 + d) * 86400000).toISOString().slice(0, 10),
+        weekday: d
+      }))
+    }))
+  };
+}
+
+// A GraphQL user with the payload in every string GitHub lets people choose
+function hostileUser(payload) {
+  const language = { name: payload, color: payload };
+  return {
+    login: payload,
+    name: payload,
+    createdAt: '2015-03-01T00:00:00Z',
+    avatarUrl: payload,
+    bio: payload,
+    company: payload,
+    location: payload,
+    pronouns: payload,
+    status: { message: payload },
+    followers: { totalCount: 12000 },
+    following: { totalCount: 3 },
+    gists: { totalCount: 2 },
+    sponsorshipsAsSponsor: { totalCount: 1 },
+    contributionsCollection: {
+      totalCommitContributions: 2400,
+      totalPullRequestReviewContributions: 120,
+      contributionCalendar: calendar(),
+      pullRequestContributions: { nodes: [{ occurredAt: '2024-05-01T02:00:00Z' }] },
+      issueContributions: { nodes: [] }
+    },
+    repositoryDiscussionComments: { totalCount: 60 },
+    issues: { totalCount: 150 },
+    pullRequests: { totalCount: 250 },
+    organizations: { totalCount: 1, nodes: [{ login: payload }] },
+    repositories: {
+      nodes: [
+        { name: payload, stargazerCount: 900, forkCount: 40, primaryLanguage: language },
+        { name: `${payload}-2`, stargazerCount: 10, forkCount: 1, primaryLanguage: { name: `${payload}-2`, color: '#123456' } }
+      ]
+    }
+  };
+}
+
+function hostileRepository(payload) {
+  return {
+    name: payload,
+    nameWithOwner: `${payload}/${payload}`,
+    description: payload,
+    stargazerCount: 5,
+    forkCount: 1,
+    openIssues: { totalCount: 1 },
+    closedIssues: { totalCount: 2 },
+    mergedPullRequests: { totalCount: 3 },
+    languages: { edges: [{ size: 10, node: { name: payload, color: payload } }] },
+    latestRelease: { name: payload, tagName: payload, publishedAt: '2024-01-01T00:00:00Z' },
+    recentCommits: {
+      since: new Date(Date.now() - 7 * 86400000).toISOString(),
+      totalCount: 2,
+      nodes: [
+        { committedDate: new Date().toISOString(), author: { name: payload, user: null } },
+        { committedDate: new Date().toISOString(), author: { name: 'x', user: { login: payload } } }
+      ]
+    }
+  };
+}
+
+function assertSafe(svg, where) {
+  const errors = [];
+  const onError = (level, message) => errors.push(`${level}: ${message}`);
+  const doc = new DOMParser({ onError }).parseFromString(svg, 'image/svg+xml');
+  assert.deepEqual(errors, [], `${where} is not well-formed XML`);
+  assert.equal(doc.documentElement.nodeName, 'svg', `${where} has no <svg> root`);
+
+  const walk = (node) => {
+    if (node.nodeType !== 1) return;
+    assert.ok(!FORBIDDEN_ELEMENTS.includes(node.nodeName), `${where} contains <${node.nodeName}>`);
+    if (node !== doc.documentElement) assert.notEqual(node.nodeName, 'svg', `${where} contains a nested <svg>`);
+    Array.from(node.attributes).forEach(attribute => {
+      assert.ok(!/^on/i.test(attribute.name), `${where} has an ${attribute.name} attribute`);
+      assert.notEqual(attribute.name, 'a', `${where} has an injected attribute`);
+      if (/href$/i.test(attribute.name)) {
+        assert.match(attribute.value, /^(#|data:image\/(png|jpeg|gif);base64,)/, `${where} links to ${attribute.value}`);
+      }
+    });
+    Array.from(node.childNodes).forEach(walk);
+  };
+  walk(doc.documentElement);
+}
+
+for (const payload of PAYLOADS) {
+  test(`user cards escape ${JSON.stringify(payload)}`, () => {
+    const metrics = mapMetrics(hostileUser(payload));
+    const show = parseShowParam('avatar,pronouns,bio,company,location,status');
+    for (const id of Object.keys(cardRegistry)) {
+      assertSafe(generateSVG(metrics, 'default', 5, { cards: [id], show, avatar: payload }), `card ${id}`);
+    }
+    assertSafe(generateSVG(metrics, 'default', 10, { animate: true, show }), 'animated card');
+    assertSafe(generateHeatmapSVG(metrics), 'standalone heatmap');
+  });
+
+  test(`org and repository cards escape ${JSON.stringify(payload)}`, () => {
+    const member = mapMetrics(hostileUser(payload));
+    const org = { login: payload, name: payload, membersWithRole: { totalCount: 1 }, repositories: hostileUser(payload).repositories };
+    const dashboard = mapOrgMetrics(org, [member]);
+    for (const id of Object.keys(orgCardRegistry)) {
+      assertSafe(generateSVG(dashboard, 'default', 5, { registry: orgCardRegistry, cards: [id], seed: payload }), `org card ${id}`);
+    }
+    const repo = mapRepoMetrics(hostileRepository(payload));
+    for (const id of Object.keys(repoCardRegistry)) {
+      assertSafe(generateSVG(repo, 'default', 5, { registry: repoCardRegistry, cards: [id], seed: payload }), `repo card ${id}`);
+    }
+  });
+
+  test(`compare and error cards escape ${JSON.stringify(payload)}`, () => {
+    const entries = [
+      { login: payload, metrics: mapMetrics(hostileUser(payload)) },
+      { login: `${payload}-2`, error: payload }
+    ];
+    assertSafe(generateCompareSVG(entries), 'compare card');
+    assertSafe(generateErrorSVG(payload), 'error card');
+  });
+
+  test(`theme overrides reject ${JSON.stringify(payload)}`, () => {
+    assert.throws(() => resolveTheme({ accent: payload }));
+    assert.throws(() => resolveTheme({ bg_gradient: `000,${payload}` }));
+  });
+}
@@ -0,0 +1,45 @@
+// A GitHub GraphQL `user` as fetchGitHubData returns it, with a full year of
+// contributions. Each call builds a fresh copy for the test to change.
+const start = Date.UTC(2024, 0, 7);
+
+export function githubUser() {
+  return {
+    login: 'octocat',
+    name: 'The Octocat',
+    createdAt: '2011-01-25T18:44:36Z',
+    avatarUrl: 'https://avatars.githubusercontent.com/u/583231',
+    bio: 'Mona Lisa Octocat, the mascot',
+    company: 'GitHub',
+    location: 'San Francisco',
+    pronouns: 'she/her',
+    status: { message: 'Shipping' },
+    followers: { totalCount: 340 },
+    following: { totalCount: 9 },
+    gists: { totalCount: 8 },
+    contributionsCollection: {
+      totalCommitContributions: 300,
+      totalPullRequestReviewContributions: 40,
+      contributionCalendar: {
+        weeks: Array.from({ length: 53 }, (_, w) => ({
+          contributionDays: Array.from({ length: 7 }, (_, d) => ({
+            contributionCount: (w + d) % 5,
+            date: new Date(start + (w * 7 + d) * 86400000).toISOString().slice(0, 10),
+            weekday: d
+          }))
+        }))
+      },
+      pullRequestContributions: { nodes: [] },
+      issueContributions: { nodes: [] }
+    },
+    repositoryDiscussionComments: { totalCount: 5 },
+    issues: { totalCount: 20 },
+    pullRequests: { totalCount: 30 },
+    organizations: { totalCount: 0, nodes: [] },
+    repositories: {
+      nodes: [
+        { name: 'Hello-World', stargazerCount: 2000, forkCount: 1900, primaryLanguage: { name: 'JavaScript', color: '#f1e05a' } },
+        { name: 'Spoon-Knife', stargazerCount: 12000, forkCount: 140000, primaryLanguage: { name: 'HTML', color: '#e34c26' } }
+      ]
+    }
+  };
+}
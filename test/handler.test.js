@@ -0,0 +1,68 @@
+// Requests the endpoint turns away before calling GitHub
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createLocale } from '../lib/i18n.js';
+
+// A token has to be configured, but every request here fails before it's used
+process.env.GH_TOKEN ??= 'test-token';
+const { default: handler, assertRasterLocale } = await import('../api/index.js');
+
+// Just enough of Vercel's request and response for the handler
+async function request(query, path = '/api') {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    status(code) { this.statusCode = code; return this; },
+    send(body) { this.body = body; return this; },
+    json(body) { return this.send(JSON.stringify(body)); }
+  };
+  await handler({ method: 'GET', url: path, query, headers: {} }, res);
+  return res;
+}
+
+test('PNG and WebP are refused for locales the embedded fonts cannot draw', async () => {
+  for (const locale of ['ja', 'ar']) {
+    assert.throws(() => assertRasterLocale('png', createLocale(locale)), /only Latin fonts are embedded/);
+    const res = await request({ username: 'octocat', locale, format: 'png' });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.headers['content-type'], 'image/png');
+  }
+  assert.doesNotThrow(() => assertRasterLocale('png', createLocale('de')));
+  assert.doesNotThrow(() => assertRasterLocale('svg', createLocale('ja')));
+});
+
+test('repeated parameters get a 400 instead of crashing', async () => {
+  const card = await request({ username: 'octocat', format: ['png', 'svg'] });
+  assert.equal(card.statusCode, 400);
+  assert.equal(card.headers['content-type'], 'image/svg+xml');
+  assert.match(card.body, /Parameter format must be given only once/);
+
+  const json = await request({ username: ['octocat', 'ghost'] }, '/api/metrics');
+  assert.equal(json.statusCode, 400);
+  assert.deepEqual(JSON.parse(json.body), { error: 'Parameter username must be given only once' });
+});
+
+test('private=true needs the server to allow the user', async () => {
+  const json = await request({ username: 'octocat', private: 'true', format: 'json' });
+  assert.equal(json.statusCode, 403);
+  assert.match(JSON.parse(json.body).error, /Private contributions are not enabled for octocat/);
+
+  const card = await request({ username: 'octocat', private: 'true' });
+  assert.equal(card.statusCode, 403);
+  assert.equal(card.headers['content-type'], 'image/svg+xml');
+});
+
+test('logins that could change a GitHub search get a 400', async () => {
+  for (const query of [
+    { username: 'octocat is:private', range: '30d', format: 'json' },
+    { username: 'octocat author:ghost', format: 'json' },
+    { org: 'github', members: 'octocat,mona lisa', format: 'json' }
+  ]) {
+    const res = await request(query);
+    assert.equal(res.statusCode, 400);
+    assert.match(JSON.parse(res.body).error, /^Invalid (username|login): /);
+  }
+  const compare = await request({ users: 'octocat,ghost involves:me', format: 'json' }, '/api/compare');
+  assert.equal(compare.statusCode, 400);
+});
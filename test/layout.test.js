@@ -0,0 +1,39 @@
+// At chaos level 0 every selected card sits inside the cuboid's back face
+// without touching another, in every layout preset, even when the selection
+// is more than the preset's canvas holds at full size.
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { cardRegistry, generateSVG, LAYOUT_PRESETS, mapMetrics } from '../api/index.js';
+import { githubUser } from './fixtures/github.js';
+
+const metrics = mapMetrics(githubUser());
+
+// Card boxes in canvas coordinates, with the cards' group scale applied
+function cardBoxes(svg) {
+  const scale = Number(svg.match(/<g transform="scale\(([\d.]+)\)">/)?.[1] ?? 1);
+  return [...svg.matchAll(/<g transform="translate\(([-\d.]+), ([-\d.]+)\) rotate\(0, [\d.]+, [\d.]+\)">\s*<rect x="0" y="0" width="([\d.]+)" height="([\d.]+)" rx="8" class="card-glass"\/>/g)]
+    .map(([, x, y, width, height]) => ({
+      left: x * scale,
+      top: y * scale,
+      right: (Number(x) + Number(width)) * scale,
+      bottom: (Number(y) + Number(height)) * scale
+    }));
+}
+
+for (const [layout, preset] of Object.entries(LAYOUT_PRESETS)) {
+  test(`${layout} fits every card at chaos 0`, () => {
+    const cards = Object.keys(cardRegistry).filter(id => cardRegistry[id].available?.(metrics) ?? true);
+    const show = ['avatar', 'pronouns', 'bio', 'company', 'location', 'status'];
+    const boxes = cardBoxes(generateSVG(metrics, 'default', 0, { layout, cards, show }));
+    assert.equal(boxes.length, cards.length);
+
+    const back = { left: preset.side + preset.depth, right: preset.width - preset.side - preset.depth, top: preset.top, bottom: preset.height - preset.foot };
+    boxes.forEach((box, i) => {
+      assert.ok(box.left >= back.left && box.right <= back.right && box.top >= back.top && box.bottom <= back.bottom, `${cards[i]} leaves the cuboid`);
+      boxes.slice(i + 1).forEach((other, j) => {
+        const overlaps = box.left < other.right && other.left < box.right && box.top < other.bottom && other.top < box.bottom;
+        assert.ok(!overlaps, `${cards[i]} overlaps ${cards[i + 1 + j]}`);
+      });
+    });
+  });
+}
@@ -0,0 +1,19 @@
+// Scoring profiles from the server config
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { resolveScoringProfile } from '../api/index.js';
+
+const config = (team) => ({ scoring: { profiles: { team } } });
+
+test('custom profiles start from the built-in profile they extend', () => {
+  const profile = resolveScoringProfile(config({ extends: 'collaborator', weights: { stars: 1 } }), 'team');
+  assert.equal(profile.weights.reviews, 10);
+  assert.equal(profile.weights.stars, 1);
+  assert.equal(resolveScoringProfile(config({}), 'team').weights.reviews, 3);
+});
+
+test('custom profiles that extend an unknown profile are refused', () => {
+  for (const parent of ['colaborator', 'constructor', 'toString']) {
+    assert.throws(() => resolveScoringProfile(config({ extends: parent }), 'team'), new RegExp(`profile team extends unknown profile: ${parent}`));
+  }
+});